@@ -0,0 +1,407 @@
+// Animated GIF/APNG decoding and APNG encoding, without any library. Frames come out
+// fully composited (disposal and blending applied), one canvas per frame.
+
+type AnimFrame = { canvas: HTMLCanvasElement; delay: number };
+
+type PngChunk = { type: string; data: Uint8Array };
+
+const PNG_SIGNATURE = new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const MIN_FRAME_DELAY = 20;
+const DEFAULT_FRAME_DELAY = 100;
+
+let crcTable: Uint32Array | null = null;
+
+function crc32(data: Uint8Array) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < data.length; i++) crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function frameCanvas(w: number, h: number) {
+    const canvas = document.createElement('canvas');
+    canvas.width = w;
+    canvas.height = h;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    if (!ctx) throw new Error('Canvas unsupported');
+    return { canvas, ctx };
+}
+
+function copyCanvas(source: HTMLCanvasElement) {
+    const { canvas, ctx } = frameCanvas(source.width, source.height);
+    ctx.drawImage(source, 0, 0);
+    return canvas;
+}
+
+// Browsers play 0–10 ms GIF delays at 100 ms; do the same so playback speed matches.
+function frameDelay(ms: number) {
+    return ms < MIN_FRAME_DELAY ? DEFAULT_FRAME_DELAY : ms;
+}
+
+function lzwDecode(minCodeSize: number, data: Uint8Array, pixelCount: number): Uint8Array {
+    const out = new Uint8Array(pixelCount);
+    const clear = 1 << minCodeSize;
+    const eoi = clear + 1;
+    const prefix = new Uint16Array(4096);
+    const suffix = new Uint8Array(4096);
+    const stack = new Uint8Array(4097);
+    for (let c = 0; c < clear; c++) suffix[c] = c;
+
+    let codeSize = minCodeSize + 1;
+    let codeMask = (1 << codeSize) - 1;
+    let next = eoi + 1;
+    let prev = -1;
+    let first = 0;
+    let datum = 0;
+    let bits = 0;
+    let op = 0;
+    let i = 0;
+
+    while (op < pixelCount) {
+        while (bits < codeSize && i < data.length) {
+            datum |= data[i++] << bits;
+            bits += 8;
+        }
+        if (bits < codeSize) break;
+
+        const code = datum & codeMask;
+        datum >>>= codeSize;
+        bits -= codeSize;
+
+        if (code === clear) {
+            codeSize = minCodeSize + 1;
+            codeMask = (1 << codeSize) - 1;
+            next = eoi + 1;
+            prev = -1;
+            continue;
+        }
+        if (code === eoi) break;
+        if (prev === -1) {
+            out[op++] = suffix[code];
+            prev = code;
+            first = suffix[code];
+            continue;
+        }
+
+        let sp = 0;
+        let cur = code;
+        // KwKwK: the code being defined right now is the previous string plus its first byte.
+        if (code >= next) {
+            stack[sp++] = first;
+            cur = prev;
+        }
+        while (cur >= clear) {
+            stack[sp++] = suffix[cur];
+            cur = prefix[cur];
+        }
+        stack[sp++] = cur;
+        first = cur;
+        while (sp > 0 && op < pixelCount) out[op++] = stack[--sp];
+
+        if (next < 4096) {
+            prefix[next] = prev;
+            suffix[next] = first;
+            next++;
+            if ((next & codeMask) === 0 && next < 4096) {
+                codeSize++;
+                codeMask = (1 << codeSize) - 1;
+            }
+        }
+        prev = code;
+    }
+
+    return out;
+}
+
+function readSubBlocks(bytes: Uint8Array, start: number) {
+    const parts: Uint8Array[] = [];
+    let i = start;
+    while (i < bytes.length && bytes[i] !== 0) {
+        parts.push(bytes.subarray(i + 1, i + 1 + bytes[i]));
+        i += bytes[i] + 1;
+    }
+
+    const data = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+    let offset = 0;
+    parts.forEach((p) => {
+        data.set(p, offset);
+        offset += p.length;
+    });
+    return { data, end: i + 1 };
+}
+
+function isGif(bytes: Uint8Array) {
+    return bytes[0] === 0x47 && bytes[1] === 0x49 && bytes[2] === 0x46;
+}
+
+function decodeGif(bytes: Uint8Array): AnimFrame[] {
+    const u16 = (at: number) => bytes[at] | (bytes[at + 1] << 8);
+    const w = u16(6);
+    const h = u16(8);
+    const packed = bytes[10];
+
+    let i = 13;
+    let globalTable: Uint8Array | null = null;
+    if (packed & 0x80) {
+        const size = 3 * (1 << ((packed & 7) + 1));
+        globalTable = bytes.subarray(i, i + size);
+        i += size;
+    }
+
+    const screen = new Uint8ClampedArray(w * h * 4);
+    const frames: AnimFrame[] = [];
+    let delay = 0;
+    let disposal = 0;
+    let transparent = -1;
+
+    while (i < bytes.length) {
+        const block = bytes[i];
+
+        if (block === 0x21) {
+            if (bytes[i + 1] === 0xf9) {
+                const flags = bytes[i + 3];
+                disposal = (flags >> 2) & 7;
+                delay = u16(i + 4) * 10;
+                transparent = flags & 1 ? bytes[i + 6] : -1;
+            }
+            i = readSubBlocks(bytes, i + 2).end;
+        } else if (block === 0x2c) {
+            const fx = u16(i + 1);
+            const fy = u16(i + 3);
+            const fw = u16(i + 5);
+            const fh = u16(i + 7);
+            const flags = bytes[i + 9];
+            i += 10;
+
+            let table = globalTable;
+            if (flags & 0x80) {
+                const size = 3 * (1 << ((flags & 7) + 1));
+                table = bytes.subarray(i, i + size);
+                i += size;
+            }
+
+            const minCodeSize = bytes[i];
+            const { data, end } = readSubBlocks(bytes, i + 1);
+            i = end;
+            const indices = lzwDecode(minCodeSize, data, fw * fh);
+
+            // Interlaced images store rows in four passes.
+            const rows: number[] = [];
+            if (flags & 0x40) {
+                [[0, 8], [4, 8], [2, 4], [1, 2]].forEach(([startRow, step]) => {
+                    for (let r = startRow; r < fh; r += step) rows.push(r);
+                });
+            } else {
+                for (let r = 0; r < fh; r++) rows.push(r);
+            }
+
+            const saved = disposal === 3 ? screen.slice() : null;
+            rows.forEach((row, n) => {
+                const y = fy + row;
+                if (y >= h) return;
+                for (let x = 0; x < fw && fx + x < w; x++) {
+                    const index = indices[n * fw + x];
+                    if (index === transparent || !table) continue;
+                    const at = (y * w + fx + x) * 4;
+                    screen[at] = table[index * 3];
+                    screen[at + 1] = table[index * 3 + 1];
+                    screen[at + 2] = table[index * 3 + 2];
+                    screen[at + 3] = 255;
+                }
+            });
+
+            const { canvas, ctx } = frameCanvas(w, h);
+            ctx.putImageData(new ImageData(screen.slice(), w, h), 0, 0);
+            frames.push({ canvas, delay: frameDelay(delay) });
+
+            if (disposal === 2) {
+                for (let y = fy; y < Math.min(h, fy + fh); y++) screen.fill(0, (y * w + fx) * 4, (y * w + Math.min(w, fx + fw)) * 4);
+            } else if (saved) {
+                screen.set(saved);
+            }
+            delay = 0;
+            disposal = 0;
+            transparent = -1;
+        } else {
+            break;
+        }
+    }
+
+    return frames;
+}
+
+function readPngChunks(bytes: Uint8Array): PngChunk[] {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const chunks: PngChunk[] = [];
+    let i = 8;
+    while (i + 8 <= bytes.length) {
+        const length = view.getUint32(i);
+        const type = String.fromCharCode(...bytes.subarray(i + 4, i + 8));
+        chunks.push({ type, data: bytes.subarray(i + 8, i + 8 + length) });
+        i += 12 + length;
+        if (type === 'IEND') break;
+    }
+    return chunks;
+}
+
+function isApng(bytes: Uint8Array) {
+    if (!PNG_SIGNATURE.every((b, i) => bytes[i] === b)) return false;
+    return readPngChunks(bytes).some((chunk) => chunk.type === 'acTL');
+}
+
+function pngChunk(type: string, data: Uint8Array) {
+    const out = new Uint8Array(12 + data.length);
+    const view = new DataView(out.buffer);
+    view.setUint32(0, data.length);
+    for (let i = 0; i < 4; i++) out[4 + i] = type.charCodeAt(i);
+    out.set(data, 8);
+    view.setUint32(8 + data.length, crc32(out.subarray(4, 8 + data.length)));
+    return out;
+}
+
+// Each APNG frame is rebuilt as a standalone PNG so the browser can decode it.
+async function decodeApng(bytes: Uint8Array): Promise<AnimFrame[]> {
+    const chunks = readPngChunks(bytes);
+    const ihdr = chunks.find((c) => c.type === 'IHDR');
+    if (!ihdr) throw new Error('Missing IHDR');
+
+    const header = new DataView(ihdr.data.buffer, ihdr.data.byteOffset, ihdr.data.byteLength);
+    const w = header.getUint32(0);
+    const h = header.getUint32(4);
+    const shared = chunks.filter((c) => ['PLTE', 'tRNS', 'gAMA', 'cHRM', 'sRGB', 'iCCP'].includes(c.type));
+
+    type Part = { x: number; y: number; w: number; h: number; delay: number; dispose: number; blend: number; data: Uint8Array[] };
+    const parts: Part[] = [];
+    let current: Part | null = null;
+    chunks.forEach((chunk) => {
+        const view = new DataView(chunk.data.buffer, chunk.data.byteOffset, chunk.data.byteLength);
+        if (chunk.type === 'fcTL') {
+            const den = view.getUint16(22) || 100;
+            current = {
+                w: view.getUint32(4),
+                h: view.getUint32(8),
+                x: view.getUint32(12),
+                y: view.getUint32(16),
+                delay: (view.getUint16(20) / den) * 1000,
+                dispose: chunk.data[24],
+                blend: chunk.data[25],
+                data: []
+            };
+            parts.push(current);
+        } else if (chunk.type === 'IDAT' && current) {
+            current.data.push(chunk.data);
+        } else if (chunk.type === 'fdAT' && current) {
+            current.data.push(chunk.data.subarray(4));
+        }
+    });
+
+    const { canvas: stage, ctx } = frameCanvas(w, h);
+    const frames: AnimFrame[] = [];
+
+    for (let n = 0; n < parts.length; n++) {
+        const part = parts[n];
+        const head = new Uint8Array(ihdr.data);
+        const view = new DataView(head.buffer);
+        view.setUint32(0, part.w);
+        view.setUint32(4, part.h);
+
+        const png = new Blob([
+            PNG_SIGNATURE,
+            pngChunk('IHDR', head),
+            ...shared.map((c) => pngChunk(c.type, c.data)),
+            ...part.data.map((d) => pngChunk('IDAT', d)),
+            pngChunk('IEND', new Uint8Array(0))
+        ]);
+        const bitmap = await createImageBitmap(png);
+
+        // dispose_op 2 on the first frame means "clear", per the spec.
+        const dispose = n === 0 && part.dispose === 2 ? 1 : part.dispose;
+        const saved = dispose === 2 ? ctx.getImageData(part.x, part.y, part.w, part.h) : null;
+        if (part.blend === 0) ctx.clearRect(part.x, part.y, part.w, part.h);
+        ctx.drawImage(bitmap, part.x, part.y);
+        bitmap.close();
+
+        frames.push({ canvas: copyCanvas(stage), delay: frameDelay(part.delay) });
+
+        if (dispose === 1) ctx.clearRect(part.x, part.y, part.w, part.h);
+        if (saved) ctx.putImageData(saved, part.x, part.y);
+    }
+
+    return frames;
+}
+
+async function deflate(data: Uint8Array) {
+    const stream = new Blob([data]).stream().pipeThrough(new CompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// Full-size RGBA frames, each row "Up"-filtered, looping forever.
+async function encodeApng(frames: AnimFrame[]): Promise<Blob> {
+    const w = frames[0].canvas.width;
+    const h = frames[0].canvas.height;
+
+    const ihdr = new Uint8Array(13);
+    const ihdrView = new DataView(ihdr.buffer);
+    ihdrView.setUint32(0, w);
+    ihdrView.setUint32(4, h);
+    ihdr.set([8, 6, 0, 0, 0], 8);
+
+    const actl = new Uint8Array(8);
+    new DataView(actl.buffer).setUint32(0, frames.length);
+
+    const parts: Uint8Array[] = [PNG_SIGNATURE, pngChunk('IHDR', ihdr), pngChunk('acTL', actl)];
+    let seq = 0;
+
+    for (let n = 0; n < frames.length; n++) {
+        const ctx = frames[n].canvas.getContext('2d', { willReadFrequently: true });
+        if (!ctx) throw new Error('Canvas unsupported');
+        const rgba = ctx.getImageData(0, 0, w, h).data;
+
+        const stride = w * 4;
+        const raw = new Uint8Array((stride + 1) * h);
+        for (let y = 0; y < h; y++) {
+            raw[y * (stride + 1)] = 2;
+            for (let x = 0; x < stride; x++) {
+                const above = y > 0 ? rgba[(y - 1) * stride + x] : 0;
+                raw[y * (stride + 1) + 1 + x] = (rgba[y * stride + x] - above) & 0xff;
+            }
+        }
+
+        const fctl = new Uint8Array(26);
+        const view = new DataView(fctl.buffer);
+        view.setUint32(0, seq++);
+        view.setUint32(4, w);
+        view.setUint32(8, h);
+        view.setUint16(20, Math.min(65535, Math.round(frames[n].delay)));
+        view.setUint16(22, 1000);
+        parts.push(pngChunk('fcTL', fctl));
+
+        const compressed = await deflate(raw);
+        if (n === 0) {
+            parts.push(pngChunk('IDAT', compressed));
+        } else {
+            const fdat = new Uint8Array(4 + compressed.length);
+            new DataView(fdat.buffer).setUint32(0, seq++);
+            fdat.set(compressed, 4);
+            parts.push(pngChunk('fdAT', fdat));
+        }
+    }
+
+    parts.push(pngChunk('IEND', new Uint8Array(0)));
+    return new Blob(parts, { type: 'image/png' });
+}
+
+// Animated GIF/APNG to frames; stills (including single-frame GIFs) give null.
+async function readAnimation(file: Blob): Promise<AnimFrame[] | null> {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    const frames = isGif(bytes) ? decodeGif(bytes) : isApng(bytes) ? await decodeApng(bytes) : [];
+    return frames.length > 1 ? frames : null;
+}
@@ -0,0 +1,688 @@
+const TILE_SIZE = 2048;
+const EXIF_ORIENTATION = 0x0112;
+function clamp(n, min, max) {
+    return Math.max(min, Math.min(max, n));
+}
+// Mask strokes live in the alpha channel; anything the brush touched counts.
+function binarizeMask(rgba, w, h, threshold = 1) {
+    const out = new Uint8Array(w * h);
+    for (let i = 0; i < out.length; i++) {
+        out[i] = rgba[i * 4 + 3] >= threshold ? 255 : 0;
+    }
+    return out;
+}
+// Fits a drawn mask onto a w×h image: grown or shrunk first, at the mask's own size and
+// with a round kernel, then scaled up bilinearly. Unless the brush was feathered the result
+// is snapped back to 0/255, so hard edges replace pixels outright instead of blending.
+function prepareMask(cv, spec, w, h) {
+    const mats = [];
+    const track = (m = new cv.Mat()) => {
+        mats.push(m);
+        return m;
+    };
+    try {
+        let mask = track(cv.matFromArray(spec.height, spec.width, cv.CV_8UC1, spec.mask));
+        const r = Math.abs(Math.round(spec.grow));
+        if (r > 0) {
+            const kernel = track(cv.getStructuringElement(cv.MORPH_ELLIPSE, new cv.Size(r * 2 + 1, r * 2 + 1)));
+            const grown = track();
+            if (spec.grow > 0)
+                cv.dilate(mask, grown, kernel);
+            else
+                cv.erode(mask, grown, kernel);
+            mask = grown;
+        }
+        if (w !== spec.width || h !== spec.height) {
+            const scaled = track();
+            cv.resize(mask, scaled, new cv.Size(w, h), 0, 0, cv.INTER_LINEAR);
+            mask = scaled;
+        }
+        // Anything the brush touched counts, as with binarizeMask.
+        if (!spec.soft)
+            cv.threshold(mask, mask, 0, 255, cv.THRESH_BINARY);
+        return new Uint8Array(mask.data);
+    }
+    finally {
+        mats.forEach((m) => m.delete());
+    }
+}
+function maskBounds(mask, w, h) {
+    let minX = w;
+    let minY = h;
+    let maxX = -1;
+    let maxY = -1;
+    for (let y = 0; y < h; y++) {
+        const row = y * w;
+        for (let x = 0; x < w; x++) {
+            if (!mask[row + x])
+                continue;
+            if (x < minX)
+                minX = x;
+            if (x > maxX)
+                maxX = x;
+            if (y < minY)
+                minY = y;
+            if (y > maxY)
+                maxY = y;
+        }
+    }
+    if (maxX < 0)
+        return null;
+    return { x: minX, y: minY, w: maxX - minX + 1, h: maxY - minY + 1 };
+}
+function expandRect(r, pad, w, h) {
+    const x = Math.max(0, r.x - pad);
+    const y = Math.max(0, r.y - pad);
+    const right = Math.min(w, r.x + r.w + pad);
+    const bottom = Math.min(h, r.y + r.h + pad);
+    return { x, y, w: right - x, h: bottom - y };
+}
+// How much untouched context around the mask the inpainter gets to sample from.
+// Patch fill copies texture, so it needs a much wider neighbourhood than Telea/NS.
+function contextPad(options) {
+    if (options.method === 'patch')
+        return Math.max(96, patchSizeOf(options) * 8);
+    return Math.ceil(options.radius) * 2 + 16;
+}
+function patchSizeOf(options) {
+    return clamp(Math.round(options.patchSize) | 1, 3, 21);
+}
+function planTiles(region, tileSize) {
+    const tiles = [];
+    for (let y = region.y; y < region.y + region.h; y += tileSize) {
+        for (let x = region.x; x < region.x + region.w; x += tileSize) {
+            tiles.push({
+                x,
+                y,
+                w: Math.min(tileSize, region.x + region.w - x),
+                h: Math.min(tileSize, region.y + region.h - y)
+            });
+        }
+    }
+    return tiles;
+}
+function cropMask(mask, w, r) {
+    const out = new Uint8Array(r.w * r.h);
+    for (let y = 0; y < r.h; y++) {
+        const from = (r.y + y) * w + r.x;
+        out.set(mask.subarray(from, from + r.w), y * r.w);
+    }
+    return out;
+}
+function cropPixels(image, r) {
+    const data = new Uint8ClampedArray(r.w * r.h * 4);
+    for (let y = 0; y < r.h; y++) {
+        const from = ((r.y + y) * image.width + r.x) * 4;
+        data.set(image.data.subarray(from, from + r.w * 4), y * r.w * 4);
+    }
+    return { data, width: r.w, height: r.h };
+}
+// Copies `part` (whose top-left sits at `at` in `image`) back, limited to `r`.
+function pastePixels(image, part, at, r) {
+    for (let y = r.y; y < r.y + r.h; y++) {
+        const from = ((y - at.y) * part.width + (r.x - at.x)) * 4;
+        image.data.set(part.data.subarray(from, from + r.w * 4), (y * image.width + r.x) * 4);
+    }
+}
+function hasMask(mask, w, r) {
+    for (let y = r.y; y < r.y + r.h; y++) {
+        const row = y * w;
+        for (let x = r.x; x < r.x + r.w; x++) {
+            if (mask[row + x])
+                return true;
+        }
+    }
+    return false;
+}
+// Walks the JPEG segments up to the scan data; `visit` sees each marker and its segment offset.
+function eachJpegSegment(bytes, visit) {
+    if (bytes[0] !== 0xff || bytes[1] !== 0xd8)
+        return;
+    let i = 2;
+    while (i + 4 <= bytes.length && bytes[i] === 0xff) {
+        const marker = bytes[i + 1];
+        if (marker === 0xda || marker === 0xd9)
+            break;
+        const length = (bytes[i + 2] << 8) | bytes[i + 3];
+        visit(marker, i, length + 2);
+        i += length + 2;
+    }
+}
+// Offset of the orientation value inside an APP1 Exif segment, or null.
+function findOrientation(bytes, start) {
+    if (start + 18 > bytes.length)
+        return null;
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if (view.getUint32(start + 4) !== 0x45786966)
+        return null; // "Exif"
+    const tiff = start + 10;
+    const little = view.getUint16(tiff) === 0x4949;
+    const ifd = tiff + view.getUint32(tiff + 4, little);
+    if (ifd + 2 > bytes.length)
+        return null;
+    const count = view.getUint16(ifd, little);
+    for (let n = 0; n < count; n++) {
+        const entry = ifd + 2 + n * 12;
+        if (entry + 12 > bytes.length)
+            break;
+        if (view.getUint16(entry, little) === EXIF_ORIENTATION)
+            return { offset: entry + 8, little };
+    }
+    return null;
+}
+function readJpegInfo(bytes) {
+    let orientation = 1;
+    const metadata = [];
+    eachJpegSegment(bytes, (marker, start, length) => {
+        if (marker !== 0xe1 && marker !== 0xe2)
+            return;
+        const segment = bytes.slice(start, start + length);
+        const found = marker === 0xe1 ? findOrientation(segment, 0) : null;
+        if (found) {
+            const view = new DataView(segment.buffer);
+            orientation = view.getUint16(found.offset, found.little) || 1;
+            // The pixels get baked upright, so the copy we keep must not rotate them again.
+            view.setUint16(found.offset, 1, found.little);
+        }
+        metadata.push(segment);
+    });
+    return { orientation, metadata };
+}
+// Reads either convention: transparent PNGs mask by alpha, opaque ones by brightness.
+// `soft` keeps the grey levels of feathered edges instead of snapping them to 0/255.
+function imageDataToMask(data, soft = false) {
+    const n = data.length / 4;
+    let transparent = false;
+    for (let i = 0; i < n && !transparent; i++)
+        transparent = data[i * 4 + 3] < 255;
+    const mask = new Uint8Array(n);
+    for (let i = 0; i < n; i++) {
+        const luma = (data[i * 4] * 299 + data[i * 4 + 1] * 587 + data[i * 4 + 2] * 114) / 1000;
+        const level = transparent ? data[i * 4 + 3] : luma;
+        mask[i] = soft ? level : level >= 128 ? 255 : 0;
+    }
+    return mask;
+}
+function inpaintPixels(cv, image, mask, options) {
+    if (options.method === 'patch') {
+        return patchInpaint(image, mask, patchSizeOf(options), clamp(Math.round(options.iterations), 1, 20));
+    }
+    const srcRgba = cv.matFromImageData(image);
+    const srcRgb = new cv.Mat();
+    cv.cvtColor(srcRgba, srcRgb, cv.COLOR_RGBA2RGB);
+    const maskBin = cv.matFromArray(image.height, image.width, cv.CV_8UC1, mask);
+    const dst = new cv.Mat();
+    const safeRadius = clamp(options.radius, 1, 30);
+    cv.inpaint(srcRgb, maskBin, dst, safeRadius, options.method === 'ns' ? cv.INPAINT_NS : cv.INPAINT_TELEA);
+    const dstRgba = new cv.Mat();
+    cv.cvtColor(dst, dstRgba, cv.COLOR_RGB2RGBA);
+    const out = { data: new Uint8ClampedArray(dstRgba.data), width: image.width, height: image.height };
+    srcRgba.delete();
+    srcRgb.delete();
+    maskBin.delete();
+    dst.delete();
+    dstRgba.delete();
+    return out;
+}
+// Inpaints `image` in place, tile by tile so very large images stay within the wasm heap.
+function inpaintTiled(cv, image, mask, options, onProgress) {
+    const w = image.width;
+    const h = image.height;
+    const pad = contextPad(options);
+    const tiles = planTiles({ x: 0, y: 0, w, h }, TILE_SIZE).filter((t) => hasMask(mask, w, t));
+    // Feathered mask pixels (0 < alpha < 255) mix the fill with what was there before.
+    const soft = [];
+    const original = [];
+    for (let i = 0; i < w * h; i++) {
+        if (mask[i] === 0 || mask[i] === 255)
+            continue;
+        soft.push(i);
+        original.push(image.data[i * 4], image.data[i * 4 + 1], image.data[i * 4 + 2]);
+    }
+    tiles.forEach((tile, i) => {
+        const ctxRect = expandRect(tile, pad, w, h);
+        const result = inpaintPixels(cv, cropPixels(image, ctxRect), cropMask(mask, w, ctxRect), options);
+        pastePixels(image, result, ctxRect, tile);
+        if (onProgress)
+            onProgress(i + 1, tiles.length);
+    });
+    soft.forEach((i, n) => {
+        const a = mask[i] / 255;
+        for (let c = 0; c < 3; c++) {
+            image.data[i * 4 + c] = original[n * 3 + c] + (image.data[i * 4 + c] - original[n * 3 + c]) * a;
+        }
+    });
+    return image;
+}
+// Seeded so the patch fill gives the same result on every run and every platform.
+function mulberry32(seed) {
+    let a = seed;
+    return () => {
+        a = (a + 0x6d2b79f5) | 0;
+        let t = Math.imul(a ^ (a >>> 15), 1 | a);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+// Square max filter, done as two 1-D passes.
+function dilateSquare(src, w, h, r) {
+    const tmp = new Uint8Array(w * h);
+    const out = new Uint8Array(w * h);
+    for (let y = 0; y < h; y++) {
+        for (let x = 0; x < w; x++) {
+            let v = 0;
+            for (let k = Math.max(0, x - r); k <= Math.min(w - 1, x + r) && !v; k++)
+                v = src[y * w + k];
+            tmp[y * w + x] = v;
+        }
+    }
+    for (let y = 0; y < h; y++) {
+        for (let x = 0; x < w; x++) {
+            let v = 0;
+            for (let k = Math.max(0, y - r); k <= Math.min(h - 1, y + r) && !v; k++)
+                v = tmp[k * w + x];
+            out[y * w + x] = v;
+        }
+    }
+    return out;
+}
+function downsampleLevel(level) {
+    const w = Math.max(1, level.w >> 1);
+    const h = Math.max(1, level.h >> 1);
+    const img = new Float32Array(w * h * 3);
+    const hole = new Uint8Array(w * h);
+    for (let y = 0; y < h; y++) {
+        for (let x = 0; x < w; x++) {
+            let n = 0;
+            let r = 0;
+            let g = 0;
+            let b = 0;
+            for (let dy = 0; dy < 2; dy++) {
+                for (let dx = 0; dx < 2; dx++) {
+                    const i = Math.min(level.h - 1, y * 2 + dy) * level.w + Math.min(level.w - 1, x * 2 + dx);
+                    if (level.hole[i]) {
+                        hole[y * w + x] = 1;
+                        continue;
+                    }
+                    r += level.img[i * 3];
+                    g += level.img[i * 3 + 1];
+                    b += level.img[i * 3 + 2];
+                    n++;
+                }
+            }
+            if (n > 0) {
+                img.set([r / n, g / n, b / n], (y * w + x) * 3);
+            }
+        }
+    }
+    return { w, h, img, hole };
+}
+// Rough starting guess for the coarsest level: grow known colours inwards ring by ring.
+function onionFill(level) {
+    const { w, h, img } = level;
+    const known = Uint8Array.from(level.hole, (v) => (v ? 0 : 1));
+    let pending = known.reduce((n, v) => n + (v ? 0 : 1), 0);
+    while (pending > 0) {
+        const ring = [];
+        for (let i = 0; i < w * h; i++) {
+            if (known[i])
+                continue;
+            const x = i % w;
+            const y = (i / w) | 0;
+            let n = 0;
+            const sum = [0, 0, 0];
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    const nx = x + dx;
+                    const ny = y + dy;
+                    if (nx < 0 || ny < 0 || nx >= w || ny >= h || !known[ny * w + nx])
+                        continue;
+                    const j = (ny * w + nx) * 3;
+                    sum[0] += img[j];
+                    sum[1] += img[j + 1];
+                    sum[2] += img[j + 2];
+                    n++;
+                }
+            }
+            if (n > 0) {
+                img.set([sum[0] / n, sum[1] / n, sum[2] / n], i * 3);
+                ring.push(i);
+            }
+        }
+        if (ring.length === 0)
+            break;
+        ring.forEach((i) => (known[i] = 1));
+        pending -= ring.length;
+    }
+}
+function patchDistance(level, p, q, half, best) {
+    const { w, h, img } = level;
+    const px = p % w;
+    const py = (p / w) | 0;
+    const qx = q % w;
+    const qy = (q / w) | 0;
+    let sum = 0;
+    for (let dy = -half; dy <= half; dy++) {
+        const ay = py + dy;
+        const by = qy + dy;
+        if (ay < 0 || ay >= h || by < 0 || by >= h)
+            continue;
+        for (let dx = -half; dx <= half; dx++) {
+            const ax = px + dx;
+            const bx = qx + dx;
+            if (ax < 0 || ax >= w || bx < 0 || bx >= w)
+                continue;
+            const a = (ay * w + ax) * 3;
+            const b = (by * w + bx) * 3;
+            const d0 = img[a] - img[b];
+            const d1 = img[a + 1] - img[b + 1];
+            const d2 = img[a + 2] - img[b + 2];
+            sum += d0 * d0 + d1 * d1 + d2 * d2;
+        }
+        if (sum >= best)
+            return sum;
+    }
+    return sum;
+}
+// One pyramid level of PatchMatch + voting (Wexler et al. style EM). `nnf` maps every
+// pixel whose patch touches the hole to the centre of a fully known source patch.
+function patchMatchLevel(level, nnf, half, iterations, rand) {
+    const { w, h, img, hole } = level;
+    const blocked = dilateSquare(hole, w, h, half);
+    const touched = blocked;
+    const valid = new Uint8Array(w * h);
+    const sources = [];
+    for (let y = half; y < h - half; y++) {
+        for (let x = half; x < w - half; x++) {
+            const i = y * w + x;
+            if (!blocked[i]) {
+                valid[i] = 1;
+                sources.push(i);
+            }
+        }
+    }
+    // Tiny or almost fully masked levels: fall back to any known pixel as a source.
+    if (sources.length === 0) {
+        for (let i = 0; i < w * h; i++) {
+            if (!hole[i]) {
+                valid[i] = 1;
+                sources.push(i);
+            }
+        }
+    }
+    if (sources.length === 0)
+        return;
+    const targets = [];
+    for (let i = 0; i < w * h; i++) {
+        if (!touched[i])
+            continue;
+        targets.push(i);
+        if (nnf[i] < 0 || !valid[nnf[i]])
+            nnf[i] = sources[Math.floor(rand() * sources.length)];
+    }
+    const cost = new Float64Array(w * h);
+    const accum = new Float32Array(w * h * 3);
+    const weight = new Float32Array(w * h);
+    const area = (half * 2 + 1) * (half * 2 + 1) * 3;
+    const sigma2 = 2 * 20 * 20;
+    for (let it = 0; it < iterations; it++) {
+        targets.forEach((p) => (cost[p] = patchDistance(level, p, nnf[p], half, Infinity)));
+        const forward = it % 2 === 0;
+        const step = forward ? 1 : -1;
+        for (let n = 0; n < targets.length; n++) {
+            const p = targets[forward ? n : targets.length - 1 - n];
+            const x = p % w;
+            const y = (p / w) | 0;
+            const tryCandidate = (q) => {
+                if (q === nnf[p] || !valid[q])
+                    return;
+                const d = patchDistance(level, p, q, half, cost[p]);
+                if (d < cost[p]) {
+                    cost[p] = d;
+                    nnf[p] = q;
+                }
+            };
+            // Propagation: a good match for the neighbour, shifted by one, is a good guess here.
+            const nx = x - step;
+            if (nx >= 0 && nx < w && touched[p - step]) {
+                const qx = (nnf[p - step] % w) + step;
+                if (qx >= 0 && qx < w)
+                    tryCandidate(nnf[p - step] + step);
+            }
+            const ny = y - step;
+            if (ny >= 0 && ny < h && touched[p - step * w]) {
+                const qy = ((nnf[p - step * w] / w) | 0) + step;
+                if (qy >= 0 && qy < h)
+                    tryCandidate(nnf[p - step * w] + step * w);
+            }
+            // Random search in a window that halves each step.
+            for (let r = Math.max(w, h); r >= 1; r >>= 1) {
+                const bx = nnf[p] % w;
+                const by = (nnf[p] / w) | 0;
+                const cx = clamp(bx + Math.round((rand() * 2 - 1) * r), 0, w - 1);
+                const cy = clamp(by + Math.round((rand() * 2 - 1) * r), 0, h - 1);
+                tryCandidate(cy * w + cx);
+            }
+        }
+        // Voting: each hole pixel becomes the similarity-weighted mean of the patches covering it.
+        accum.fill(0);
+        weight.fill(0);
+        targets.forEach((p) => {
+            const q = nnf[p];
+            const wt = Math.exp(-cost[p] / area / sigma2);
+            const px = p % w;
+            const py = (p / w) | 0;
+            const qx = q % w;
+            const qy = (q / w) | 0;
+            for (let dy = -half; dy <= half; dy++) {
+                const ty = py + dy;
+                const sy = qy + dy;
+                if (ty < 0 || ty >= h || sy < 0 || sy >= h)
+                    continue;
+                for (let dx = -half; dx <= half; dx++) {
+                    const tx = px + dx;
+                    const sx = qx + dx;
+                    if (tx < 0 || tx >= w || sx < 0 || sx >= w)
+                        continue;
+                    const t = ty * w + tx;
+                    if (!hole[t])
+                        continue;
+                    const s = (sy * w + sx) * 3;
+                    accum[t * 3] += img[s] * wt;
+                    accum[t * 3 + 1] += img[s + 1] * wt;
+                    accum[t * 3 + 2] += img[s + 2] * wt;
+                    weight[t] += wt;
+                }
+            }
+        });
+        for (let t = 0; t < w * h; t++) {
+            if (!hole[t] || weight[t] <= 0)
+                continue;
+            img[t * 3] = accum[t * 3] / weight[t];
+            img[t * 3 + 1] = accum[t * 3 + 1] / weight[t];
+            img[t * 3 + 2] = accum[t * 3 + 2] / weight[t];
+        }
+    }
+}
+// Seeds a finer level from the coarser one: hole colours and matches are scaled up by two.
+function upsampleLevel(coarse, coarseNnf, fine) {
+    const nnf = new Int32Array(fine.w * fine.h).fill(-1);
+    for (let y = 0; y < fine.h; y++) {
+        for (let x = 0; x < fine.w; x++) {
+            const i = y * fine.w + x;
+            const cx = Math.min(coarse.w - 1, x >> 1);
+            const cy = Math.min(coarse.h - 1, y >> 1);
+            const c = cy * coarse.w + cx;
+            if (fine.hole[i])
+                fine.img.set(coarse.img.subarray(c * 3, c * 3 + 3), i * 3);
+            const q = coarseNnf[c];
+            if (q < 0)
+                continue;
+            const qx = Math.min(fine.w - 1, (q % coarse.w) * 2 + (x & 1));
+            const qy = Math.min(fine.h - 1, ((q / coarse.w) | 0) * 2 + (y & 1));
+            nnf[i] = qy * fine.w + qx;
+        }
+    }
+    return nnf;
+}
+// Exemplar-based fill: rebuilds the hole from real patches elsewhere in `image`,
+// coarse to fine, so textures (brick, grass, fabric) continue instead of smearing.
+function patchInpaint(image, mask, patchSize, iterations) {
+    const w = image.width;
+    const h = image.height;
+    const half = patchSize >> 1;
+    const rand = mulberry32(0x5eed);
+    const base = { w, h, img: new Float32Array(w * h * 3), hole: new Uint8Array(w * h) };
+    for (let i = 0; i < w * h; i++) {
+        base.img[i * 3] = image.data[i * 4];
+        base.img[i * 3 + 1] = image.data[i * 4 + 1];
+        base.img[i * 3 + 2] = image.data[i * 4 + 2];
+        base.hole[i] = mask[i] ? 1 : 0;
+    }
+    const bounds = maskBounds(mask, w, h);
+    const pyramid = [base];
+    let extent = bounds ? Math.max(bounds.w, bounds.h) : 0;
+    while (pyramid.length < 6 && extent > patchSize * 2 && Math.min(pyramid[0].w, pyramid[0].h) >= patchSize * 6) {
+        pyramid.unshift(downsampleLevel(pyramid[0]));
+        extent >>= 1;
+    }
+    onionFill(pyramid[0]);
+    let nnf = new Int32Array(pyramid[0].w * pyramid[0].h).fill(-1);
+    pyramid.forEach((level, i) => {
+        if (i > 0)
+            nnf = upsampleLevel(pyramid[i - 1], nnf, level);
+        patchMatchLevel(level, nnf, half, i === 0 ? iterations * 2 : iterations, rand);
+    });
+    const data = new Uint8ClampedArray(image.data);
+    for (let i = 0; i < w * h; i++) {
+        if (!base.hole[i])
+            continue;
+        data[i * 4] = base.img[i * 3];
+        data[i * 4 + 1] = base.img[i * 3 + 1];
+        data[i * 4 + 2] = base.img[i * 3 + 2];
+    }
+    return { data, width: w, height: h };
+}
+// Magic wand: pixels whose colour is within `tolerance` (largest channel difference) of the
+// seed pixel, either flood-filled from the seed or taken from the whole image. The result is
+// grown by a pixel so anti-aliased edges of text end up inside the mask too.
+function selectSimilar(image, x, y, tolerance, contiguous) {
+    const { data, width: w, height: h } = image;
+    const seed = (y * w + x) * 4;
+    const r = data[seed];
+    const g = data[seed + 1];
+    const b = data[seed + 2];
+    const near = (i) => Math.max(Math.abs(data[i * 4] - r), Math.abs(data[i * 4 + 1] - g), Math.abs(data[i * 4 + 2] - b)) <= tolerance;
+    const selected = new Uint8Array(w * h);
+    if (!contiguous) {
+        for (let i = 0; i < w * h; i++)
+            if (near(i))
+                selected[i] = 255;
+        return dilateSquare(selected, w, h, 1);
+    }
+    const stack = [y * w + x];
+    selected[y * w + x] = 255;
+    while (stack.length > 0) {
+        const i = stack.pop();
+        const px = i % w;
+        const neighbours = [px > 0 ? i - 1 : -1, px < w - 1 ? i + 1 : -1, i - w, i + w];
+        neighbours.forEach((n) => {
+            if (n < 0 || n >= w * h || selected[n] || !near(n))
+                return;
+            selected[n] = 255;
+            stack.push(n);
+        });
+    }
+    return dilateSquare(selected, w, h, 1);
+}
+// Heuristic watermark finder. Flags three kinds of regions and returns a 0/255 mask
+// the size of `image`; `sensitivity` runs from 0 (only obvious marks) to 1 (aggressive).
+function detectWatermarks(cv, image, sensitivity) {
+    const s = clamp(sensitivity, 0, 1);
+    const w = image.width;
+    const h = image.height;
+    const mats = [];
+    const track = (m = new cv.Mat()) => {
+        mats.push(m);
+        return m;
+    };
+    try {
+        const rgba = track(cv.matFromImageData(image));
+        const gray = track();
+        cv.cvtColor(rgba, gray, cv.COLOR_RGBA2GRAY);
+        const unit = Math.max(3, Math.round(Math.min(w, h) / 80));
+        const kernel = track(cv.getStructuringElement(cv.MORPH_RECT, new cv.Size(unit * 2 + 1, unit * 2 + 1)));
+        // Text-like strokes: thin marks much brighter or darker than what surrounds them.
+        const bright = track();
+        const dark = track();
+        const strokes = track();
+        cv.morphologyEx(gray, bright, cv.MORPH_TOPHAT, kernel);
+        cv.morphologyEx(gray, dark, cv.MORPH_BLACKHAT, kernel);
+        cv.max(bright, dark, strokes);
+        cv.threshold(strokes, strokes, 80 - 55 * s, 255, cv.THRESH_BINARY);
+        // Semi-transparent overlays: washed-out, colourless areas lifted above the local background.
+        const background = track();
+        const lifted = track();
+        cv.GaussianBlur(gray, background, new cv.Size(0, 0), unit * 4);
+        cv.subtract(gray, background, lifted);
+        cv.threshold(lifted, lifted, 30 - 20 * s, 255, cv.THRESH_BINARY);
+        const grey = new Uint8Array(w * h);
+        for (let i = 0; i < grey.length; i++) {
+            const r = image.data[i * 4];
+            const g = image.data[i * 4 + 1];
+            const b = image.data[i * 4 + 2];
+            const hi = Math.max(r, g, b);
+            grey[i] = hi - Math.min(r, g, b) <= 24 + 24 * s ? 255 : 0;
+        }
+        const colourless = track(cv.matFromArray(h, w, cv.CV_8UC1, grey));
+        cv.bitwise_and(lifted, colourless, lifted);
+        // Corner logos: dense edges tucked into one of the corners.
+        const edges = track();
+        cv.Canny(gray, edges, 60, 160);
+        const zoneW = Math.round(w * 0.22);
+        const zoneH = Math.round(h * 0.22);
+        const corners = new Uint8Array(w * h);
+        for (let y = 0; y < h; y++) {
+            const inRow = y < zoneH || y >= h - zoneH;
+            if (!inRow)
+                continue;
+            for (let x = 0; x < w; x++) {
+                if (x < zoneW || x >= w - zoneW)
+                    corners[y * w + x] = edges.data[y * w + x];
+            }
+        }
+        const cornerMat = track(cv.matFromArray(h, w, cv.CV_8UC1, corners));
+        const combined = track();
+        cv.bitwise_or(strokes, lifted, combined);
+        cv.bitwise_or(combined, cornerMat, combined);
+        cv.morphologyEx(combined, combined, cv.MORPH_CLOSE, kernel);
+        // Keep blobs that look like a mark: not specks, not whole-image texture.
+        const labels = track();
+        const stats = track();
+        const centroids = track();
+        const count = cv.connectedComponentsWithStats(combined, labels, stats, centroids, 8, cv.CV_32S);
+        const minArea = (w * h) / (4000 + 36000 * s);
+        const keep = new Uint8Array(count);
+        for (let i = 1; i < count; i++) {
+            const bw = stats.data32S[i * 5 + 2];
+            const bh = stats.data32S[i * 5 + 3];
+            const area = stats.data32S[i * 5 + 4];
+            keep[i] = area >= minArea && bw * bh <= w * h * 0.25 && bw < w * 0.9 && bh < h * 0.9 ? 1 : 0;
+        }
+        const out = new Uint8Array(w * h);
+        for (let i = 0; i < out.length; i++) {
+            if (keep[labels.data32S[i]])
+                out[i] = 255;
+        }
+        const grown = track(cv.matFromArray(h, w, cv.CV_8UC1, out));
+        cv.dilate(grown, grown, kernel);
+        return new Uint8Array(grown.data);
+    }
+    finally {
+        mats.forEach((m) => m.delete());
+    }
+}
+// Lets the Node CLI require this file; the page and the worker just use the globals.
+if (typeof module !== 'undefined') {
+    module.exports = { imageDataToMask, readJpegInfo, prepareMask, maskBounds, inpaintTiled };
+}
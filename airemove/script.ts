@@ -1,65 +1,486 @@
 type Point = { x: number; y: number };
 
+type Tool = 'brush' | 'eraser' | 'rect' | 'ellipse' | 'lasso' | 'wand';
+
 type AppState = {
-    img: HTMLImageElement | null;
+    img: HTMLCanvasElement | null;
+    fileName: string;
+    fileType: string;
+    file: File | null;
+    metadata: Uint8Array[];
     imgWidth: number;
     imgHeight: number;
+    scale: number;
     drawing: boolean;
     brush: number;
-    radius: number;
+    hardness: number;
+    grow: number;
+    inpaint: InpaintOptions;
     lastPoint: Point | null;
+    strokeBefore: ImageData | null;
+    busy: boolean;
+    tool: Tool;
+    shapeStart: Point | null;
+    shapeEnd: Point | null;
+    shapeEven: boolean;
+    lasso: Point[];
+};
+
+type Layer = 'image' | 'mask';
+
+type HistoryEntry = {
+    layer: Layer;
+    x: number;
+    y: number;
+    before: ImageData;
+    after: ImageData;
+    // Animation frame an image patch belongs to; `linked` patches are undone in the same step.
+    frame?: number;
+    linked?: HistoryEntry[];
+};
+
+// One frame of an animation: the untouched original and the copy being edited.
+type Frame = { original: HTMLCanvasElement; canvas: HTMLCanvasElement; delay: number };
+
+type EditHistory = {
+    undo: HistoryEntry[];
+    redo: HistoryEntry[];
+    bytes: number;
+    limitBytes: number;
+};
+
+type WorkerReply =
+    | { type: 'ready' }
+    | { type: 'progress'; id: number; done: number; total: number }
+    | { type: 'result'; id: number; image: ArrayBuffer }
+    | { type: 'mask'; id: number; mask: ArrayBuffer }
+    | { type: 'error'; id?: number; message: string };
+
+type PendingJob = {
+    resolve: (reply: WorkerReply) => void;
+    reject: (err: Error) => void;
+    onProgress?: (done: number, total: number) => void;
 };
 
-type CvLike = {
-    Mat: new () => any;
-    CV_8UC4: number;
-    CV_8UC1: number;
-    COLOR_RGBA2RGB: number;
-    COLOR_RGBA2GRAY: number;
-    INPAINT_TELEA: number;
-    matFromImageData: (data: ImageData) => any;
-    imshow: (canvas: HTMLCanvasElement | string, mat: any) => void;
-    cvtColor: (src: any, dst: any, code: number) => void;
-    inpaint: (src: any, inpaintMask: any, dst: any, inpaintRadius: number, flags: number) => void;
-    threshold: (src: any, dst: any, thresh: number, maxval: number, type: number) => void;
-    THRESH_BINARY: number;
+type ViewState = { zoom: number; x: number; y: number };
+
+type Gesture =
+    | { kind: 'pan'; start: Point; from: ViewState }
+    | { kind: 'pinch'; dist: number; mid: Point; from: ViewState };
+
+type BatchItem = {
+    file: File;
+    row: HTMLLIElement;
+    result: Blob | null;
 };
 
+type ZipEntry = { name: string; data: Uint8Array };
+
+// What autosave keeps in IndexedDB: the untouched upload plus the current mask and result.
+type SavedSession = {
+    source: Blob;
+    fileName: string;
+    fileType: string;
+    mask: Blob;
+    result: Blob;
+    savedAt: number;
+};
+
+type ExportFormat = 'image/png' | 'image/jpeg' | 'image/webp';
+
+// A decoded upload, already turned upright, plus the JPEG APP1/APP2 segments (EXIF, XMP, ICC) it carried.
+type SourceImage = { canvas: HTMLCanvasElement; metadata: Uint8Array[] };
+
+type CvWorker = {
+    ready: Promise<void>;
+    run: (job: object, transfer: Transferable[], onProgress?: (done: number, total: number) => void) => Promise<WorkerReply>;
+    cancel: () => void;
+};
+
+const HISTORY_LIMIT_BYTES = 256 * 1024 * 1024;
+const WORKER_URL = '/airemove/worker.js';
+const OPENCV_URL = '/airemove/vendor/opencv.js';
+const SW_URL = '/airemove/sw.js';
+const SESSION_DB = 'airemove';
+const SESSION_STORE = 'session';
+const SESSION_KEY = 'current';
+const AUTOSAVE_DELAY = 1500;
+const SEQUENCE_DELAY = 100;
+const JOB_CANCELLED = 'Job cancelled';
+const TOOL_KEYS: Record<string, Tool> = { b: 'brush', e: 'eraser', r: 'rect', o: 'ellipse', l: 'lasso', w: 'wand' };
+const MIN_ZOOM = 0.25;
+const MAX_ZOOM = 16;
+const EXPORT_EXT: Record<string, string> = { 'image/png': 'png', 'image/jpeg': 'jpg', 'image/webp': 'webp' };
+
 function qs<T extends Element>(selector: string): T {
     const el = document.querySelector(selector);
     if (!el) throw new Error(`Missing element: ${selector}`);
     return el as T;
 }
 
-function clamp(n: number, min: number, max: number) {
-    return Math.max(min, Math.min(max, n));
+function createHistory(limitBytes: number): EditHistory {
+    return { undo: [], redo: [], bytes: 0, limitBytes };
+}
+
+function entryBytes(entry: HistoryEntry): number {
+    const linked = (entry.linked || []).reduce((sum, part) => sum + entryBytes(part), 0);
+    return entry.before.data.byteLength + entry.after.data.byteLength + linked;
+}
+
+function resetHistory(history: EditHistory) {
+    history.undo = [];
+    history.redo = [];
+    history.bytes = 0;
+}
+
+function pushHistory(history: EditHistory, entry: HistoryEntry) {
+    history.redo.forEach((e) => (history.bytes -= entryBytes(e)));
+    history.redo = [];
+
+    history.undo.push(entry);
+    history.bytes += entryBytes(entry);
+
+    // Drop the oldest steps once over budget, but always keep the newest one.
+    while (history.bytes > history.limitBytes && history.undo.length > 1) {
+        const dropped = history.undo.shift();
+        if (dropped) history.bytes -= entryBytes(dropped);
+    }
+}
+
+// Takes back the newest step for good (unlike undo, which keeps it for redo).
+function discardLast(history: EditHistory) {
+    const entry = history.undo.pop();
+    if (entry) history.bytes -= entryBytes(entry);
+}
+
+function snapshot(ctx: CanvasRenderingContext2D, layer: Layer, before: ImageData): HistoryEntry {
+    const after = ctx.getImageData(0, 0, before.width, before.height);
+    return { layer, x: 0, y: 0, before, after };
+}
+
+// Minimal store-only ZIP; the PNGs inside are already compressed.
+function createZip(entries: ZipEntry[]): Blob {
+    const encoder = new TextEncoder();
+    const parts: Uint8Array[] = [];
+    const central: Uint8Array[] = [];
+    let offset = 0;
+
+    entries.forEach((entry) => {
+        const name = encoder.encode(entry.name);
+        const crc = crc32(entry.data);
+        const size = entry.data.length;
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true);
+        local.setUint16(6, 0x0800, true); // UTF-8 names
+        local.setUint32(14, crc, true);
+        local.setUint32(18, size, true);
+        local.setUint32(22, size, true);
+        local.setUint16(26, name.length, true);
+        parts.push(new Uint8Array(local.buffer), name, entry.data);
+
+        const dir = new DataView(new ArrayBuffer(46));
+        dir.setUint32(0, 0x02014b50, true);
+        dir.setUint16(4, 20, true);
+        dir.setUint16(6, 20, true);
+        dir.setUint16(8, 0x0800, true);
+        dir.setUint32(16, crc, true);
+        dir.setUint32(20, size, true);
+        dir.setUint32(24, size, true);
+        dir.setUint16(28, name.length, true);
+        dir.setUint32(42, offset, true);
+        central.push(new Uint8Array(dir.buffer), name);
+
+        offset += 30 + name.length + size;
+    });
+
+    const dirSize = central.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, entries.length, true);
+    end.setUint16(10, entries.length, true);
+    end.setUint32(12, dirSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...central, new Uint8Array(end.buffer)], { type: 'application/zip' });
+}
+
+// "frame_2.png" sorts before "frame_10.png".
+function sortFrameFiles(files: File[]) {
+    return files.slice().sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+}
+
+function baseName(fileName: string) {
+    const dot = fileName.lastIndexOf('.');
+    return dot > 0 ? fileName.slice(0, dot) : fileName;
+}
+
+function uniqueName(name: string, taken: Set<string>) {
+    let candidate = name;
+    for (let i = 2; taken.has(candidate); i++) {
+        const dot = name.lastIndexOf('.');
+        candidate = `${name.slice(0, dot)}-${i}${name.slice(dot)}`;
+    }
+    taken.add(candidate);
+    return candidate;
+}
+
+function saveFile(href: string, fileName: string) {
+    const a = document.createElement('a');
+    a.href = href;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+}
+
+function decodeImage(file: Blob): Promise<HTMLImageElement> {
+    const url = URL.createObjectURL(file);
+    const img = new Image();
+    img.decoding = 'async';
+    img.src = url;
+
+    return new Promise<HTMLImageElement>((resolve, reject) => {
+        img.onload = () => resolve(img);
+        img.onerror = () => reject(new Error('Image load failed'));
+    }).finally(() => URL.revokeObjectURL(url));
+}
+
+// Browsers that support `image-orientation` already rotate JPEGs when decoding them.
+function browserOrientsImages() {
+    return typeof CSS !== 'undefined' && CSS.supports('image-orientation', 'from-image');
+}
+
+function orientCanvas(img: HTMLImageElement, orientation: number) {
+    const w = img.naturalWidth;
+    const h = img.naturalHeight;
+    const swap = orientation >= 5 && orientation <= 8;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = swap ? h : w;
+    canvas.height = swap ? w : h;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    if (!ctx) throw new Error('Canvas unsupported');
+
+    const transforms: Record<number, [number, number, number, number, number, number]> = {
+        2: [-1, 0, 0, 1, w, 0],
+        3: [-1, 0, 0, -1, w, h],
+        4: [1, 0, 0, -1, 0, h],
+        5: [0, 1, 1, 0, 0, 0],
+        6: [0, 1, -1, 0, h, 0],
+        7: [0, -1, -1, 0, h, w],
+        8: [0, -1, 1, 0, 0, w]
+    };
+    const t = transforms[orientation];
+    if (t) ctx.setTransform(...t);
+    ctx.drawImage(img, 0, 0);
+    return canvas;
+}
+
+async function readSourceImage(file: File): Promise<SourceImage> {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    const { orientation, metadata } = readJpegInfo(bytes);
+    const img = await decodeImage(file);
+    return { canvas: orientCanvas(img, browserOrientsImages() ? 1 : orientation), metadata };
+}
+
+// Puts the kept segments right after SOI (and JFIF APP0, which must stay first).
+function insertJpegSegments(bytes: Uint8Array, segments: Uint8Array[]) {
+    let at = 2;
+    eachJpegSegment(bytes, (marker, start, length) => {
+        if (marker === 0xe0 && start === 2) at = start + length;
+    });
+
+    const extra = segments.reduce((sum, part) => sum + part.length, 0);
+    const out = new Uint8Array(bytes.length + extra);
+    out.set(bytes.subarray(0, at), 0);
+    let offset = at;
+    segments.forEach((part) => {
+        out.set(part, offset);
+        offset += part.length;
+    });
+    out.set(bytes.subarray(at), offset);
+    return out;
+}
+
+function canvasToBlob(canvas: HTMLCanvasElement, type: string, quality?: number): Promise<Blob> {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Encode failed'))), type, quality);
+    });
 }
 
-function isCvReady(): boolean {
-    const cv = (window as any).cv as CvLike | undefined;
-    return !!(cv && (cv as any).Mat);
+async function encodeImage(canvas: HTMLCanvasElement, format: ExportFormat, quality: number, metadata: Uint8Array[]) {
+    let source = canvas;
+    if (format === 'image/jpeg') {
+        // JPEG has no alpha; flatten onto white instead of the encoder's black.
+        source = document.createElement('canvas');
+        source.width = canvas.width;
+        source.height = canvas.height;
+        const ctx = source.getContext('2d');
+        if (!ctx) throw new Error('Canvas unsupported');
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, source.width, source.height);
+        ctx.drawImage(canvas, 0, 0);
+    }
+
+    // Browsers without a WebP encoder quietly hand back a PNG; callers go by `blob.type`.
+    const blob = await canvasToBlob(source, format, quality);
+    if (blob.type !== 'image/jpeg' || metadata.length === 0) return blob;
+
+    const bytes = insertJpegSegments(new Uint8Array(await blob.arrayBuffer()), metadata);
+    return new Blob([bytes], { type: 'image/jpeg' });
 }
 
-function waitForCvReady(timeoutMs = 20000): Promise<void> {
-    if (isCvReady()) return Promise.resolve();
+function exportName(sourceName: string, type: string) {
+    return `${baseName(sourceName) || 'airemove'}-airemove.${EXPORT_EXT[type] || 'png'}`;
+}
 
-    const start = Date.now();
+function idbRequest<T>(request: IDBRequest<T>): Promise<T> {
     return new Promise((resolve, reject) => {
-        const tick = () => {
-            if (isCvReady()) {
-                resolve();
-                return;
-            }
-            if (Date.now() - start > timeoutMs) {
-                reject(new Error('OpenCV.js load timeout'));
-                return;
-            }
-            window.setTimeout(tick, 50);
-        };
-        tick();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
     });
 }
 
+function openSessionDb(): Promise<IDBDatabase> {
+    const request = indexedDB.open(SESSION_DB, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(SESSION_STORE);
+    return idbRequest(request);
+}
+
+async function withSessionStore<T>(mode: IDBTransactionMode, run: (store: IDBObjectStore) => IDBRequest<T>) {
+    const db = await openSessionDb();
+    try {
+        return await idbRequest(run(db.transaction(SESSION_STORE, mode).objectStore(SESSION_STORE)));
+    } finally {
+        db.close();
+    }
+}
+
+function saveSession(session: SavedSession) {
+    return withSessionStore('readwrite', (store) => store.put(session, SESSION_KEY));
+}
+
+function loadSession(): Promise<SavedSession | undefined> {
+    return withSessionStore('readonly', (store) => store.get(SESSION_KEY) as IDBRequest<SavedSession | undefined>);
+}
+
+function clearSession() {
+    return withSessionStore('readwrite', (store) => store.delete(SESSION_KEY));
+}
+
+// Mask files are plain white-on-black PNGs so other editors can read and write them.
+function maskToImageData(mask: Uint8Array, w: number, h: number) {
+    const out = new ImageData(w, h);
+    for (let i = 0; i < mask.length; i++) {
+        const v = mask[i];
+        out.data[i * 4] = v;
+        out.data[i * 4 + 1] = v;
+        out.data[i * 4 + 2] = v;
+        out.data[i * 4 + 3] = 255;
+    }
+    return out;
+}
+
+// OpenCV runs in a worker; cancelling terminates it and boots a fresh one. A
+// worker that crashed fails its pending jobs and is replaced on the next run.
+function createCvWorker(url: string): CvWorker {
+    const jobs = new Map<number, PendingJob>();
+    let nextId = 1;
+    let worker: Worker;
+    let broken = false;
+
+    const fail = (err: Error) => {
+        broken = true;
+        worker.terminate();
+        jobs.forEach((job) => job.reject(err));
+        jobs.clear();
+    };
+
+    const start = () => {
+        broken = false;
+        worker = new Worker(url);
+        api.ready = new Promise<void>((resolve, reject) => {
+            worker.onmessage = (e: MessageEvent<WorkerReply>) => {
+                const reply = e.data;
+                if (reply.type === 'ready') {
+                    resolve();
+                    return;
+                }
+                if (reply.id === undefined) {
+                    if (reply.type === 'error') {
+                        const err = new Error(reply.message);
+                        reject(err);
+                        fail(err);
+                    }
+                    return;
+                }
+
+                const job = jobs.get(reply.id);
+                if (!job) return;
+                if (reply.type === 'progress') {
+                    if (job.onProgress) job.onProgress(reply.done, reply.total);
+                    return;
+                }
+
+                jobs.delete(reply.id);
+                if (reply.type === 'error') job.reject(new Error(reply.message));
+                else job.resolve(reply);
+            };
+            worker.onerror = (e) => {
+                const err = new Error(e.message || 'Worker failed');
+                reject(err);
+                fail(err);
+            };
+        });
+        api.ready.catch(() => undefined);
+    };
+
+    const api: CvWorker = {
+        ready: Promise.resolve(),
+        run: (job, transfer, onProgress) => {
+            if (broken) start();
+            const id = nextId++;
+            return new Promise<WorkerReply>((resolve, reject) => {
+                jobs.set(id, { resolve, reject, onProgress });
+                worker.postMessage({ ...job, id }, transfer);
+            });
+        },
+        cancel: () => {
+            worker.terminate();
+            jobs.forEach((job) => job.reject(new Error(JOB_CANCELLED)));
+            jobs.clear();
+            start();
+        }
+    };
+
+    start();
+    return api;
+}
+
+// Keeps the stage point `at` fixed on screen while the zoom changes.
+function zoomAround(view: ViewState, at: Point, zoom: number): ViewState {
+    const next = clamp(zoom, MIN_ZOOM, MAX_ZOOM);
+    const k = next / view.zoom;
+    return { zoom: next, x: at.x - (at.x - view.x) * k, y: at.y - (at.y - view.y) * k };
+}
+
+// Centres content smaller than the stage and stops larger content from leaving it.
+function clampView(view: ViewState, contentW: number, contentH: number, stageW: number, stageH: number): ViewState {
+    const fit = (offset: number, content: number, room: number) => {
+        const size = content * view.zoom;
+        return size <= room ? (room - size) / 2 : clamp(offset, room - size, 0);
+    };
+    return { zoom: view.zoom, x: fit(view.x, contentW, stageW), y: fit(view.y, contentH, stageH) };
+}
+
+function pointerDistance(a: Point, b: Point) {
+    return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+// getBoundingClientRect already reflects the stage zoom transform,
+// so this maps correctly at every zoom level.
 function getCanvasPoint(canvas: HTMLCanvasElement, e: PointerEvent): Point {
     const rect = canvas.getBoundingClientRect();
     const x = ((e.clientX - rect.left) / rect.width) * canvas.width;
@@ -67,13 +488,26 @@ function getCanvasPoint(canvas: HTMLCanvasElement, e: PointerEvent): Point {
     return { x, y };
 }
 
-function drawBrush(ctx: CanvasRenderingContext2D, p: Point, brush: number) {
+// `hardness` below 1 fades the outer part of the dab; the fade ends up as partial mask alpha.
+function drawBrush(ctx: CanvasRenderingContext2D, p: Point, brush: number, hardness = 1) {
+    const r = brush / 2;
     ctx.beginPath();
-    ctx.arc(p.x, p.y, brush / 2, 0, Math.PI * 2);
+    ctx.arc(p.x, p.y, r, 0, Math.PI * 2);
+    if (hardness >= 1) {
+        ctx.fill();
+        return;
+    }
+
+    const fill = ctx.fillStyle;
+    const gradient = ctx.createRadialGradient(p.x, p.y, r * hardness, p.x, p.y, r);
+    gradient.addColorStop(0, 'rgba(0,0,0,1)');
+    gradient.addColorStop(1, 'rgba(0,0,0,0)');
+    ctx.fillStyle = gradient;
     ctx.fill();
+    ctx.fillStyle = fill;
 }
 
-function drawLine(ctx: CanvasRenderingContext2D, a: Point, b: Point, brush: number) {
+function drawLine(ctx: CanvasRenderingContext2D, a: Point, b: Point, brush: number, hardness = 1) {
     const dx = b.x - a.x;
     const dy = b.y - a.y;
     const dist = Math.sqrt(dx * dx + dy * dy);
@@ -82,114 +516,370 @@ function drawLine(ctx: CanvasRenderingContext2D, a: Point, b: Point, brush: numb
 
     for (let i = 0; i <= steps; i++) {
         const t = steps === 0 ? 0 : i / steps;
-        drawBrush(ctx, { x: a.x + dx * t, y: a.y + dy * t }, brush);
+        drawBrush(ctx, { x: a.x + dx * t, y: a.y + dy * t }, brush, hardness);
+    }
+}
+
+// Shift turns rectangles into squares and ellipses into circles.
+function shapePath(ctx: CanvasRenderingContext2D, tool: 'rect' | 'ellipse', a: Point, b: Point, even: boolean) {
+    let w = b.x - a.x;
+    let h = b.y - a.y;
+    if (even) {
+        const side = Math.max(Math.abs(w), Math.abs(h));
+        w = Math.sign(w || 1) * side;
+        h = Math.sign(h || 1) * side;
+    }
+
+    ctx.beginPath();
+    if (tool === 'rect') {
+        ctx.rect(a.x, a.y, w, h);
+    } else {
+        ctx.ellipse(a.x + w / 2, a.y + h / 2, Math.abs(w / 2), Math.abs(h / 2), 0, 0, Math.PI * 2);
     }
 }
 
+function lassoPath(ctx: CanvasRenderingContext2D, points: Point[]) {
+    ctx.beginPath();
+    points.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+    ctx.closePath();
+}
+
+// Outlines are drawn twice (dark then light) so they read on any background.
+function strokeOutline(ctx: CanvasRenderingContext2D, lineWidth: number) {
+    ctx.lineWidth = lineWidth * 3;
+    ctx.strokeStyle = 'rgba(0,0,0,0.55)';
+    ctx.stroke();
+    ctx.lineWidth = lineWidth;
+    ctx.strokeStyle = 'rgba(255,255,255,0.95)';
+    ctx.stroke();
+}
+
 function clearMask(maskCtx: CanvasRenderingContext2D, w: number, h: number) {
     maskCtx.clearRect(0, 0, w, h);
 }
 
-function renderImage(imgCanvas: HTMLCanvasElement, imgCtx: CanvasRenderingContext2D, maskCanvas: HTMLCanvasElement, maskCtx: CanvasRenderingContext2D, img: HTMLImageElement) {
+// A mask as a canvas layer in the maskCanvas convention: opaque black where masked.
+function maskLayer(mask: Uint8Array, w: number, h: number) {
+    const overlay = new ImageData(w, h);
+    for (let i = 0; i < mask.length; i++) {
+        if (mask[i]) overlay.data[i * 4 + 3] = 255;
+    }
+
+    const layer = document.createElement('canvas');
+    layer.width = w;
+    layer.height = h;
+    layer.getContext('2d')?.putImageData(overlay, 0, 0);
+    return layer;
+}
+
+function renderImage(
+    srcCanvas: HTMLCanvasElement,
+    srcCtx: CanvasRenderingContext2D,
+    imgCanvas: HTMLCanvasElement,
+    imgCtx: CanvasRenderingContext2D,
+    maskCanvas: HTMLCanvasElement,
+    maskCtx: CanvasRenderingContext2D,
+    img: HTMLCanvasElement
+) {
     const maxW = 960;
     const maxH = 640;
 
-    const scale = Math.min(maxW / img.naturalWidth, maxH / img.naturalHeight, 1);
-    const w = Math.max(1, Math.round(img.naturalWidth * scale));
-    const h = Math.max(1, Math.round(img.naturalHeight * scale));
+    srcCanvas.width = img.width;
+    srcCanvas.height = img.height;
+    srcCtx.clearRect(0, 0, srcCanvas.width, srcCanvas.height);
+    srcCtx.drawImage(img, 0, 0);
+
+    const scale = Math.min(maxW / img.width, maxH / img.height, 1);
+    const w = Math.max(1, Math.round(img.width * scale));
+    const h = Math.max(1, Math.round(img.height * scale));
 
     imgCanvas.width = w;
     imgCanvas.height = h;
     maskCanvas.width = w;
     maskCanvas.height = h;
 
-    imgCtx.clearRect(0, 0, w, h);
-    imgCtx.drawImage(img, 0, 0, w, h);
-
+    renderPreview(srcCanvas, imgCanvas, imgCtx);
     clearMask(maskCtx, w, h);
 
-    return { w, h };
+    return { w, h, scale: w / img.width };
 }
 
-function inpaintToCanvas(cv: CvLike, imgCanvas: HTMLCanvasElement, maskCanvas: HTMLCanvasElement, outCanvas: HTMLCanvasElement, radius: number) {
-    const imgCtx = imgCanvas.getContext('2d');
-    const maskCtx = maskCanvas.getContext('2d');
-    if (!imgCtx || !maskCtx) throw new Error('Missing canvas context');
-
-    const imgData = imgCtx.getImageData(0, 0, imgCanvas.width, imgCanvas.height);
-    const maskData = maskCtx.getImageData(0, 0, maskCanvas.width, maskCanvas.height);
-
-    const srcRgba = cv.matFromImageData(imgData);
-    const srcRgb = new cv.Mat();
-    cv.cvtColor(srcRgba, srcRgb, cv.COLOR_RGBA2RGB);
-
-    const maskRgba = cv.matFromImageData(maskData);
-    const maskGray = new cv.Mat();
-    cv.cvtColor(maskRgba, maskGray, cv.COLOR_RGBA2GRAY);
-
-    const maskBin = new cv.Mat();
-    cv.threshold(maskGray, maskBin, 1, 255, cv.THRESH_BINARY);
-
-    const dst = new cv.Mat();
-    const safeRadius = clamp(radius, 1, 30);
-    cv.inpaint(srcRgb, maskBin, dst, safeRadius, cv.INPAINT_TELEA);
+function renderPreview(srcCanvas: HTMLCanvasElement, imgCanvas: HTMLCanvasElement, imgCtx: CanvasRenderingContext2D) {
+    imgCtx.clearRect(0, 0, imgCanvas.width, imgCanvas.height);
+    imgCtx.imageSmoothingQuality = 'high';
+    imgCtx.drawImage(srcCanvas, 0, 0, imgCanvas.width, imgCanvas.height);
+}
 
-    cv.imshow(outCanvas, dst);
+// Mask alpha as drawn on the preview: 0 keeps a pixel, 255 replaces it, anything between
+// is a feathered edge. The worker scales it up to each image (see prepareMask).
+function maskAlpha(maskCtx: CanvasRenderingContext2D): Uint8Array {
+    const { width, height } = maskCtx.canvas;
+    const rgba = maskCtx.getImageData(0, 0, width, height).data;
+    const alpha = new Uint8Array(width * height);
+    for (let i = 0; i < alpha.length; i++) alpha[i] = rgba[i * 4 + 3];
+    return alpha;
+}
 
-    srcRgba.delete();
-    srcRgb.delete();
-    maskRgba.delete();
-    maskGray.delete();
-    maskBin.delete();
-    dst.delete();
+// Soft brush and eraser strokes leave fades wider than a pixel. A hard stroke
+// only leaves its antialiased rim, so a partial pixel between partial
+// neighbours means the mask was painted soft, whatever the slider says now.
+function hasSoftEdges(alpha: Uint8Array, width: number, height: number): boolean {
+    const partial = (i: number) => alpha[i] > 0 && alpha[i] < 255;
+    for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+            const i = y * width + x;
+            if (partial(i) && partial(i - 1) && partial(i + 1) && partial(i - width) && partial(i + width)) return true;
+        }
+    }
+    return false;
 }
 
 (() => {
     const fileInput = qs<HTMLInputElement>('#fileInput');
+    const sequenceInput = qs<HTMLInputElement>('#sequenceInput');
+    const framesBar = qs<HTMLDivElement>('#framesBar');
+    const frameScrubber = qs<HTMLInputElement>('#frameScrubber');
+    const frameLabel = qs<HTMLSpanElement>('#frameLabel');
+    const btnPlay = qs<HTMLButtonElement>('#btnPlay');
     const brushSize = qs<HTMLInputElement>('#brushSize');
+    const brushHardness = qs<HTMLInputElement>('#brushHardness');
+    const maskGrow = qs<HTMLInputElement>('#maskGrow');
+    const maskOverlay = qs<HTMLInputElement>('#maskOverlay');
+    const inpaintMethod = qs<HTMLSelectElement>('#inpaintMethod');
     const inpaintRadius = qs<HTMLInputElement>('#inpaintRadius');
+    const patchSize = qs<HTMLInputElement>('#patchSize');
+    const patchIterations = qs<HTMLInputElement>('#patchIterations');
+    const exportFormat = qs<HTMLSelectElement>('#exportFormat');
+    const exportQuality = qs<HTMLInputElement>('#exportQuality');
+    const keepMetadata = qs<HTMLInputElement>('#keepMetadata');
+    const formatControls = Array.from(document.querySelectorAll<HTMLElement>('[data-formats]'));
+    const methodControls = Array.from(document.querySelectorAll<HTMLElement>('[data-methods]'));
+    const detectSensitivity = qs<HTMLInputElement>('#detectSensitivity');
 
     const btnRemove = qs<HTMLButtonElement>('#btnRemove');
     const btnClear = qs<HTMLButtonElement>('#btnClear');
+    const btnDetect = qs<HTMLButtonElement>('#btnDetect');
     const btnDownload = qs<HTMLButtonElement>('#btnDownload');
+    const btnCancel = qs<HTMLButtonElement>('#btnCancel');
+    const btnUpdate = qs<HTMLButtonElement>('#btnUpdate');
+    const btnMaskExport = qs<HTMLButtonElement>('#btnMaskExport');
+    const btnMaskImport = qs<HTMLButtonElement>('#btnMaskImport');
+    const maskFileInput = qs<HTMLInputElement>('#maskFileInput');
+
+    const restorePanel = qs<HTMLDivElement>('#restorePanel');
+    const restoreMeta = qs<HTMLSpanElement>('#restoreMeta');
+    const btnRestore = qs<HTMLButtonElement>('#btnRestore');
+    const btnRestoreDiscard = qs<HTMLButtonElement>('#btnRestoreDiscard');
+    const btnUndo = qs<HTMLButtonElement>('#btnUndo');
+    const btnRedo = qs<HTMLButtonElement>('#btnRedo');
+
+    const batchPanel = qs<HTMLDivElement>('#batchPanel');
+    const batchList = qs<HTMLOListElement>('#batchList');
+    const btnBatchRun = qs<HTMLButtonElement>('#btnBatchRun');
+    const btnBatchZip = qs<HTMLButtonElement>('#btnBatchZip');
+    const btnBatchClear = qs<HTMLButtonElement>('#btnBatchClear');
 
     const status = qs<HTMLDivElement>('#status');
     const meta = qs<HTMLDivElement>('#meta');
     const emptyState = qs<HTMLDivElement>('#emptyState');
     const stage = qs<HTMLDivElement>('#stage');
+    const stageView = qs<HTMLDivElement>('#stageView');
+    const zoomLevel = qs<HTMLSpanElement>('#zoomLevel');
+    const btnZoomFit = qs<HTMLButtonElement>('#btnZoomFit');
+    const btnZoom100 = qs<HTMLButtonElement>('#btnZoom100');
 
     const imgCanvas = qs<HTMLCanvasElement>('#imgCanvas');
+    const origCanvas = qs<HTMLCanvasElement>('#origCanvas');
     const maskCanvas = qs<HTMLCanvasElement>('#maskCanvas');
-
-    const outCanvas = document.createElement('canvas');
-
+    const cursorCanvas = qs<HTMLCanvasElement>('#cursorCanvas');
+    const toolButtons = Array.from(document.querySelectorAll<HTMLButtonElement>('[data-tool]'));
+    const toolControls = Array.from(document.querySelectorAll<HTMLElement>('[data-tools]'));
+    const wandTolerance = qs<HTMLInputElement>('#wandTolerance');
+    const wandContiguous = qs<HTMLInputElement>('#wandContiguous');
+    const compareHandle = qs<HTMLDivElement>('#compareHandle');
+    const btnCompare = qs<HTMLButtonElement>('#btnCompare');
+    const btnHoldOriginal = qs<HTMLButtonElement>('#btnHoldOriginal');
+
+    const srcCanvas = document.createElement('canvas');
+
+    const srcCtx = srcCanvas.getContext('2d', { willReadFrequently: true });
     const imgCtx = imgCanvas.getContext('2d');
+    const origCtx = origCanvas.getContext('2d');
     const maskCtx = maskCanvas.getContext('2d');
+    const cursorCtx = cursorCanvas.getContext('2d');
+
+    if (!srcCtx || !imgCtx || !origCtx || !maskCtx || !cursorCtx) throw new Error('Canvas unsupported');
 
-    if (!imgCtx || !maskCtx) throw new Error('Canvas unsupported');
+    // "Same as source" keeps JPEG/WebP uploads in their format; anything else exports as PNG.
+    const exportFormatFor = (fileType: string): ExportFormat => {
+        if (exportFormat.value !== 'auto') return exportFormat.value as ExportFormat;
+        return fileType === 'image/jpeg' || fileType === 'image/webp' ? fileType : 'image/png';
+    };
+
+    const readInpaintOptions = (): InpaintOptions => ({
+        method: inpaintMethod.value as InpaintMethod,
+        radius: Number(inpaintRadius.value),
+        patchSize: Number(patchSize.value),
+        iterations: Number(patchIterations.value)
+    });
 
     const state: AppState = {
         img: null,
         imgWidth: imgCanvas.width,
         imgHeight: imgCanvas.height,
+        scale: 1,
         drawing: false,
         brush: Number(brushSize.value),
-        radius: Number(inpaintRadius.value),
-        lastPoint: null
+        hardness: Number(brushHardness.value) / 100,
+        grow: Number(maskGrow.value),
+        inpaint: readInpaintOptions(),
+        lastPoint: null,
+        strokeBefore: null,
+        busy: false,
+        tool: 'brush',
+        shapeStart: null,
+        shapeEnd: null,
+        shapeEven: false,
+        lasso: [],
+        fileName: '',
+        fileType: '',
+        file: null,
+        metadata: []
     };
 
+    const cvWorker = createCvWorker(WORKER_URL);
+
+    const history = createHistory(HISTORY_LIMIT_BYTES);
+
+    // The last auto-detected mask, so the sensitivity slider can redo it in place.
+    let suggestion: HistoryEntry | null = null;
+    let detectTimer: number | null = null;
+
+    let view: ViewState = { zoom: 1, x: 0, y: 0 };
+    let gesture: Gesture | null = null;
+    let spaceHeld = false;
+    const pointers = new Map<number, Point>();
+
+    let comparing = false;
+    let split = 0.5;
+
+    const batch: BatchItem[] = [];
+    let batchCancelled = false;
+
+    let autosaveTimer: number | null = null;
+
+    // Empty for still images. While a frame is on screen its working copy lives in srcCanvas.
+    let frames: Frame[] = [];
+    let frameIndex = 0;
+    let playTimer: number | null = null;
+    let pendingSession: SavedSession | null = null;
+
     maskCtx.fillStyle = 'rgba(0,0,0,1)';
 
     const syncControls = () => {
         state.brush = Number(brushSize.value);
-        state.radius = Number(inpaintRadius.value);
+        state.hardness = Number(brushHardness.value) / 100;
+        state.grow = Number(maskGrow.value);
+        stage.classList.toggle('is-overlay', maskOverlay.checked);
+        state.inpaint = readInpaintOptions();
+        const format = exportFormatFor(state.fileType);
+        formatControls.forEach((el) => {
+            el.hidden = !(el.dataset.formats || '').split(' ').includes(format);
+        });
+        methodControls.forEach((el) => {
+            el.hidden = !(el.dataset.methods || '').split(' ').includes(state.inpaint.method);
+        });
 
         const canWork = !!state.img && imgCanvas.width > 0 && imgCanvas.height > 0;
-        btnRemove.disabled = !canWork;
+        btnRemove.disabled = !canWork || state.busy;
+        btnCancel.hidden = !state.busy;
         btnClear.disabled = !canWork;
+        btnDetect.disabled = !canWork || state.busy;
+        btnZoomFit.disabled = !canWork;
+        btnZoom100.disabled = !canWork;
+        btnCompare.disabled = !canWork;
+        btnHoldOriginal.disabled = !canWork;
+        btnDownload.disabled = !canWork;
+        framesBar.hidden = frames.length < 2;
+        frameScrubber.disabled = state.busy;
+        btnPlay.disabled = state.busy;
+        btnMaskExport.disabled = !canWork;
+        btnMaskImport.disabled = !canWork || state.busy;
+
+        btnUndo.disabled = !canWork || history.undo.length === 0;
+        btnRedo.disabled = !canWork || history.redo.length === 0;
+
+        batchPanel.hidden = batch.length === 0;
+        btnBatchRun.disabled = !canWork || state.busy || batch.length === 0;
+        btnBatchZip.disabled = state.busy || !batch.some((item) => item.result);
+        btnBatchClear.disabled = state.busy;
+    };
+
+    const layerCtx = (layer: Layer) => (layer === 'image' ? srcCtx : maskCtx);
+
+    const frameCtx = (frame: number | undefined) => {
+        if (frame === undefined || frame === frameIndex) return srcCtx;
+        const ctx = frames[frame].canvas.getContext('2d', { willReadFrequently: true });
+        if (!ctx) throw new Error('Canvas unsupported');
+        return ctx;
+    };
+
+    const applyEntry = (entry: HistoryEntry, side: 'before' | 'after') => {
+        [entry, ...(entry.linked || [])].forEach((part) => {
+            const ctx = part.layer === 'image' ? frameCtx(part.frame) : layerCtx(part.layer);
+            ctx.putImageData(part[side], part.x, part.y);
+        });
+        if (entry.layer === 'image') renderPreview(srcCanvas, imgCanvas, imgCtx);
+    };
+
+    // Best effort: a full quota or private mode just means no restore offer next time.
+    const autosave = async () => {
+        const file = state.file;
+        // Sessions hold a single result image, so animations aren't autosaved.
+        if (!file || !state.img || frames.length > 1) return;
+        try {
+            const [mask, result] = await Promise.all([canvasToBlob(maskCanvas, 'image/png'), canvasToBlob(srcCanvas, 'image/png')]);
+            if (state.file !== file) return;
+            await saveSession({ source: file, fileName: file.name, fileType: file.type, mask, result, savedAt: Date.now() });
+        } catch {
+            // Nothing to tell the user; the editor itself is unaffected.
+        }
+    };
+
+    const scheduleAutosave = () => {
+        if (autosaveTimer !== null) window.clearTimeout(autosaveTimer);
+        autosaveTimer = window.setTimeout(() => {
+            autosaveTimer = null;
+            autosave();
+        }, AUTOSAVE_DELAY);
+    };
+
+    const record = (entry: HistoryEntry) => {
+        pushHistory(history, entry);
+        syncControls();
+        scheduleAutosave();
+    };
 
-        const canDownload = canWork && outCanvas.width > 0 && outCanvas.height > 0;
-        btnDownload.disabled = !canDownload;
+    const undo = () => {
+        if (state.drawing) return;
+        const entry = history.undo.pop();
+        if (!entry) return;
+        applyEntry(entry, 'before');
+        history.redo.push(entry);
+        setStatus(entry.layer === 'image' ? 'ย้อนกลับการลบลายน้ำแล้ว' : 'ย้อนกลับมาสก์แล้ว');
+        syncControls();
+        scheduleAutosave();
+    };
+
+    const redo = () => {
+        if (state.drawing) return;
+        const entry = history.redo.pop();
+        if (!entry) return;
+        applyEntry(entry, 'after');
+        history.undo.push(entry);
+        setStatus(entry.layer === 'image' ? 'ทำซ้ำการลบลายน้ำแล้ว' : 'ทำซ้ำมาสก์แล้ว');
+        syncControls();
+        scheduleAutosave();
     };
 
     const setStatus = (text: string) => {
@@ -204,144 +894,971 @@ function inpaintToCanvas(cv: CvLike, imgCanvas: HTMLCanvasElement, maskCanvas: H
         emptyState.style.display = isEmpty ? 'grid' : 'none';
     };
 
+    const showFrame = (index: number) => {
+        if (frames.length < 2 || state.drawing) return;
+        const next = clamp(index, 0, frames.length - 1);
+
+        const stored = frames[frameIndex].canvas.getContext('2d');
+        if (stored) {
+            stored.clearRect(0, 0, srcCanvas.width, srcCanvas.height);
+            stored.drawImage(srcCanvas, 0, 0);
+        }
+
+        frameIndex = next;
+        srcCtx.clearRect(0, 0, srcCanvas.width, srcCanvas.height);
+        srcCtx.drawImage(frames[next].canvas, 0, 0);
+        renderPreview(srcCanvas, imgCanvas, imgCtx);
+        renderPreview(frames[next].original, origCanvas, origCtx);
+
+        frameScrubber.value = String(next);
+        frameLabel.textContent = `${next + 1}/${frames.length}`;
+    };
+
+    const stopPlayback = () => {
+        if (playTimer !== null) window.clearTimeout(playTimer);
+        playTimer = null;
+        btnPlay.textContent = 'เล่น';
+    };
+
+    const playNext = () => {
+        showFrame((frameIndex + 1) % frames.length);
+        playTimer = window.setTimeout(playNext, frames[frameIndex].delay);
+    };
+
     const loadImageFromFile = async (file: File) => {
-        const url = URL.createObjectURL(file);
-        const img = new Image();
-        img.decoding = 'async';
-        img.src = url;
-
-        await new Promise<void>((resolve, reject) => {
-            img.onload = () => resolve();
-            img.onerror = () => reject(new Error('Image load failed'));
-        });
+        const animation = await readAnimation(file).catch(() => null);
+        if (animation) {
+            openFrames(file, animation);
+            return;
+        }
 
-        state.img = img;
+        const source = await readSourceImage(file);
+        frames = [];
+        openCanvas(file, source.canvas, source.metadata);
+    };
 
-        const dims = renderImage(imgCanvas, imgCtx, maskCanvas, maskCtx, img);
-        state.imgWidth = dims.w;
-        state.imgHeight = dims.h;
+    const openFrames = (file: File, list: AnimFrame[]) => {
+        frames = list.map((f) => ({ original: f.canvas, canvas: copyCanvas(f.canvas), delay: f.delay }));
+        frameIndex = 0;
+        frameScrubber.max = String(frames.length - 1);
+        frameScrubber.value = '0';
+        frameLabel.textContent = `1/${frames.length}`;
+
+        openCanvas(file, frames[0].original, []);
+        setMeta(`${file.name} • ${frames[0].original.width}×${frames[0].original.height} • ${frames.length} เฟรม`);
+        setStatus('ภาพเคลื่อนไหว: มาสก์เดียวใช้กับทุกเฟรม เลื่อนแถบเฟรมเพื่อตรวจทีละเฟรม');
+    };
 
-        outCanvas.width = dims.w;
-        outCanvas.height = dims.h;
-        const outCtx = outCanvas.getContext('2d');
-        if (outCtx) {
-            outCtx.clearRect(0, 0, outCanvas.width, outCanvas.height);
+    const openSequence = async (files: File[]) => {
+        const sorted = sortFrameFiles(files);
+        const list: AnimFrame[] = [];
+        for (const file of sorted) {
+            const { canvas } = await readSourceImage(file);
+            // Frames that don't match the first one are stretched to its size.
+            const first = list.length > 0 ? list[0].canvas : canvas;
+            const frame = copyCanvas(first);
+            const ctx = frame.getContext('2d');
+            ctx?.clearRect(0, 0, frame.width, frame.height);
+            ctx?.drawImage(canvas, 0, 0, frame.width, frame.height);
+            list.push({ canvas: frame, delay: SEQUENCE_DELAY });
         }
+        if (list.length === 1) {
+            await loadImageFromFile(sorted[0]);
+            return;
+        }
+        openFrames(sorted[0], list);
+    };
 
-        setMeta(`${file.name} • ${img.naturalWidth}×${img.naturalHeight}`);
+    const openCanvas = (file: File, img: HTMLCanvasElement, metadata: Uint8Array[]) => {
+        stopPlayback();
+        state.img = img;
+        state.fileName = file.name;
+        state.fileType = file.type;
+        state.file = file;
+        pendingSession = null;
+        restorePanel.hidden = true;
+        state.metadata = metadata;
+
+        const dims = renderImage(srcCanvas, srcCtx, imgCanvas, imgCtx, maskCanvas, maskCtx, img);
+        state.imgWidth = dims.w;
+        state.imgHeight = dims.h;
+        state.scale = dims.scale;
+        resetHistory(history);
+        suggestion = null;
+        setView({ zoom: 1, x: 0, y: 0 });
+
+        origCanvas.width = dims.w;
+        origCanvas.height = dims.h;
+        cursorCanvas.width = dims.w;
+        cursorCanvas.height = dims.h;
+        renderPreview(srcCanvas, origCanvas, origCtx);
+        setComparing(false);
+
+        setMeta(`${file.name} • ${img.width}×${img.height}`);
         setEmpty(false);
         setStatus('พร้อมใช้งาน: ระบายทับลายน้ำ แล้วกด “ลบลายน้ำ”');
         syncControls();
+        scheduleAutosave();
+    };
 
-        URL.revokeObjectURL(url);
+    // Sends the masked part of `ctx` to the worker; the caller decides where the result goes.
+    // Grow/shrink is set in preview pixels like the brush, so it scales up the same way.
+    const drawnMask = (): MaskSpec => {
+        const mask = maskAlpha(maskCtx);
+        const { width, height } = maskCanvas;
+        return { mask, width, height, grow: state.grow, soft: hasSoftEdges(mask, width, height) };
     };
 
+    const inpaintCanvas = async (
+        ctx: CanvasRenderingContext2D,
+        mask: MaskSpec,
+        options: InpaintOptions,
+        onProgress: (done: number, total: number) => void
+    ) => {
+        const w = ctx.canvas.width;
+        const h = ctx.canvas.height;
+        const bounds = maskBounds(mask.mask, mask.width, mask.height);
+        if (!bounds) return null;
+
+        // Mask bounds mapped onto the image, with room for growing and the upscaled edge.
+        const drawn = expandRect(bounds, Math.max(0, Math.round(mask.grow)) + 1, mask.width, mask.height);
+        const sx = w / mask.width;
+        const sy = h / mask.height;
+        const x = Math.floor(drawn.x * sx);
+        const y = Math.floor(drawn.y * sy);
+        const fitted = { x, y, w: Math.min(w, Math.ceil((drawn.x + drawn.w) * sx)) - x, h: Math.min(h, Math.ceil((drawn.y + drawn.h) * sy)) - y };
+
+        const region = expandRect(fitted, contextPad(options), w, h);
+        const before = ctx.getImageData(region.x, region.y, region.w, region.h);
+        const image = new Uint8ClampedArray(before.data);
+
+        const reply = await cvWorker.run({ type: 'inpaint', width: w, height: h, region, image: image.buffer, mask, options }, [image.buffer], onProgress);
+        if (reply.type !== 'result') return null;
+
+        const after = new ImageData(new Uint8ClampedArray(reply.image), region.w, region.h);
+        return { region, before, after };
+    };
+
+    const cvFailedMessage = () =>
+        navigator.onLine
+            ? 'โหลด OpenCV.js ไม่สำเร็จ ลองรีเฟรชหน้าเว็บ'
+            : 'ออฟไลน์อยู่และยังไม่มีตัวประมวลผลในเครื่อง เชื่อมต่ออินเทอร์เน็ตแล้วรีเฟรชอีกครั้ง';
+
     const ensureCv = async () => {
+        const cached = 'caches' in window && !!(await caches.match(OPENCV_URL).catch(() => undefined));
+        setStatus(
+            cached
+                ? 'กำลังโหลดตัวประมวลผลจากเครื่องของคุณ…'
+                : 'กำลังดาวน์โหลดตัวประมวลผลครั้งแรก (~10 MB) ครั้งต่อไปจะโหลดจากเครื่องและใช้งานออฟไลน์ได้…'
+        );
+
         try {
-            await waitForCvReady();
-            setStatus('พร้อมใช้งาน: อัปโหลดรูปเพื่อเริ่ม');
+            await cvWorker.ready;
+            setStatus(cached ? 'พร้อมใช้งาน (ออฟไลน์ได้): อัปโหลดรูปเพื่อเริ่ม' : 'พร้อมใช้งาน: อัปโหลดรูปเพื่อเริ่ม');
         } catch {
-            setStatus('โหลด OpenCV.js ไม่สำเร็จ ลองรีเฟรชหน้าเว็บ');
+            setStatus(cvFailedMessage());
         }
     };
 
-    const pointerDown = (e: PointerEvent) => {
-        if (!state.img) return;
-        state.drawing = true;
-        state.lastPoint = getCanvasPoint(maskCanvas, e);
-        drawBrush(maskCtx, state.lastPoint, state.brush);
-        maskCanvas.setPointerCapture(e.pointerId);
+    // Offline support is a bonus: if registration fails the page still works online.
+    const registerServiceWorker = async () => {
+        if (!('serviceWorker' in navigator)) return;
+
+        let waiting: ServiceWorker | null = null;
+        let updating = false;
+
+        const offerUpdate = (next: ServiceWorker) => {
+            waiting = next;
+            btnUpdate.hidden = false;
+            setStatus('มีเวอร์ชันใหม่: กด “อัปเดตเป็นเวอร์ชันใหม่” (งานที่ยังไม่ได้ดาวน์โหลดจะหายไป)');
+        };
+
+        btnUpdate.addEventListener('click', () => {
+            if (!waiting) return;
+            updating = true;
+            waiting.postMessage({ type: 'skip-waiting' });
+        });
+
+        // The first install also takes control, so only reload when the user asked for it.
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (updating) window.location.reload();
+        });
+
+        try {
+            const registration = await navigator.serviceWorker.register(SW_URL, { scope: '/airemove/' });
+            if (registration.waiting && navigator.serviceWorker.controller) offerUpdate(registration.waiting);
+
+            registration.addEventListener('updatefound', () => {
+                const next = registration.installing;
+                if (!next) return;
+                next.addEventListener('statechange', () => {
+                    if (next.state !== 'installed') return;
+                    if (navigator.serviceWorker.controller) offerUpdate(next);
+                    else if (!state.img && !state.busy) setStatus('บันทึกแอปไว้ในเครื่องแล้ว: ใช้งานออฟไลน์ได้');
+                });
+            });
+        } catch {
+            // Private mode or an unsupported origin; nothing to do.
+        }
     };
 
-    const pointerMove = (e: PointerEvent) => {
-        if (!state.drawing || !state.img) return;
+    // The view transform sits on #stageView; its unscaled box is the fit-to-stage size.
+    const setView = (next: ViewState) => {
+        view = clampView(next, stageView.offsetWidth, stageView.offsetHeight, stage.clientWidth, stage.clientHeight);
+        stageView.style.transform = `translate(${view.x}px, ${view.y}px) scale(${view.zoom})`;
+
+        const natural = state.img ? state.img.width : imgCanvas.width;
+        zoomLevel.textContent = `${Math.round(((view.zoom * stageView.offsetWidth) / natural) * 100)}%`;
+    };
+
+    const stagePoint = (clientX: number, clientY: number): Point => {
+        const rect = stage.getBoundingClientRect();
+        return { x: clientX - rect.left, y: clientY - rect.top };
+    };
+
+    const zoomTo = (zoom: number, at?: Point) => {
+        setView(zoomAround(view, at || { x: stage.clientWidth / 2, y: stage.clientHeight / 2 }, zoom));
+    };
+
+    const setSplit = (value: number) => {
+        split = clamp(value, 0, 1);
+        const pct = `${(split * 100).toFixed(2)}%`;
+        origCanvas.style.clipPath = `inset(0 calc(100% - ${pct}) 0 0)`;
+        compareHandle.style.left = pct;
+        compareHandle.setAttribute('aria-valuenow', String(Math.round(split * 100)));
+    };
+
+    const setComparing = (on: boolean) => {
+        comparing = on;
+        stage.classList.toggle('is-comparing', on);
+        btnCompare.setAttribute('aria-pressed', on ? 'true' : 'false');
+        setSplit(split);
+    };
+
+    const setTool = (tool: Tool) => {
+        state.tool = tool;
+        toolButtons.forEach((btn) => btn.setAttribute('aria-pressed', btn.dataset.tool === tool ? 'true' : 'false'));
+        stage.dataset.tool = tool;
+        toolControls.forEach((el) => {
+            el.hidden = !(el.dataset.tools || '').split(' ').includes(tool);
+        });
+    };
+
+    // Click (or Shift+click) adds the similar-coloured region to the mask; Alt+click takes it away.
+    const pickRegion = (e: PointerEvent) => {
+        const p = getCanvasPoint(maskCanvas, e);
+        const { width, height } = imgCanvas;
+        const x = clamp(Math.floor(p.x), 0, width - 1);
+        const y = clamp(Math.floor(p.y), 0, height - 1);
+
+        const image = { data: imgCtx.getImageData(0, 0, width, height).data, width, height };
+        const tolerance = (Number(wandTolerance.value) / 100) * 255;
+        const region = selectSimilar(image, x, y, tolerance, wandContiguous.checked);
+
+        const before = maskCtx.getImageData(0, 0, width, height);
+        maskCtx.globalCompositeOperation = e.altKey ? 'destination-out' : 'source-over';
+        maskCtx.drawImage(maskLayer(region, width, height), 0, 0);
+        maskCtx.globalCompositeOperation = 'source-over';
+        suggestion = null;
+        record(snapshot(maskCtx, 'mask', before));
+    };
+
+    // Size of one screen pixel in mask pixels, so outlines stay crisp at any zoom.
+    const screenPixel = () => maskCanvas.width / maskCanvas.getBoundingClientRect().width;
+
+    const drawCursor = (p: Point | null) => {
+        cursorCtx.clearRect(0, 0, cursorCanvas.width, cursorCanvas.height);
+        const px = screenPixel();
+
+        if (state.drawing && state.shapeStart && state.shapeEnd && (state.tool === 'rect' || state.tool === 'ellipse')) {
+            shapePath(cursorCtx, state.tool, state.shapeStart, state.shapeEnd, state.shapeEven);
+            strokeOutline(cursorCtx, px);
+            return;
+        }
+
+        if (state.drawing && state.tool === 'lasso' && state.lasso.length > 1) {
+            lassoPath(cursorCtx, state.lasso);
+            strokeOutline(cursorCtx, px);
+            return;
+        }
+
+        if (p && (state.tool === 'brush' || state.tool === 'eraser')) {
+            cursorCtx.beginPath();
+            cursorCtx.arc(p.x, p.y, state.brush / 2, 0, Math.PI * 2);
+            strokeOutline(cursorCtx, px);
+        }
+    };
+
+    const startStroke = (e: PointerEvent) => {
         const p = getCanvasPoint(maskCanvas, e);
-        const last = state.lastPoint;
+        state.drawing = true;
+        state.strokeBefore = maskCtx.getImageData(0, 0, maskCanvas.width, maskCanvas.height);
 
-        if (e.shiftKey && last) {
-            drawLine(maskCtx, last, p, state.brush);
+        if (state.tool === 'rect' || state.tool === 'ellipse') {
+            state.shapeStart = p;
+            state.shapeEnd = p;
+        } else if (state.tool === 'lasso') {
+            state.lasso = [p];
         } else {
-            drawBrush(maskCtx, p, state.brush);
+            maskCtx.globalCompositeOperation = state.tool === 'eraser' ? 'destination-out' : 'source-over';
+            state.lastPoint = p;
+            drawBrush(maskCtx, p, state.brush, state.hardness);
+        }
+        drawCursor(p);
+    };
+
+    const drawStroke = (e: PointerEvent) => {
+        const p = getCanvasPoint(maskCanvas, e);
+        if (!state.drawing || !state.img) {
+            drawCursor(state.img ? p : null);
+            return;
         }
 
-        state.lastPoint = p;
+        if (state.tool === 'rect' || state.tool === 'ellipse') {
+            state.shapeEnd = p;
+            state.shapeEven = e.shiftKey;
+        } else if (state.tool === 'lasso') {
+            state.lasso.push(p);
+        } else {
+            const last = state.lastPoint;
+            if (e.shiftKey && last) {
+                drawLine(maskCtx, last, p, state.brush, state.hardness);
+            } else {
+                drawBrush(maskCtx, p, state.brush, state.hardness);
+            }
+            state.lastPoint = p;
+        }
+        drawCursor(p);
     };
 
-    const pointerUp = () => {
+    const resetStroke = () => {
+        maskCtx.globalCompositeOperation = 'source-over';
         state.drawing = false;
         state.lastPoint = null;
+        state.strokeBefore = null;
+        state.shapeStart = null;
+        state.shapeEnd = null;
+        state.shapeEven = false;
+        state.lasso = [];
+        drawCursor(null);
+    };
+
+    const endStroke = () => {
+        if (state.drawing && state.strokeBefore) {
+            if (state.shapeStart && state.shapeEnd && (state.tool === 'rect' || state.tool === 'ellipse')) {
+                shapePath(maskCtx, state.tool, state.shapeStart, state.shapeEnd, state.shapeEven);
+                maskCtx.fill();
+            } else if (state.tool === 'lasso' && state.lasso.length > 2) {
+                lassoPath(maskCtx, state.lasso);
+                maskCtx.fill();
+            }
+            record(snapshot(maskCtx, 'mask', state.strokeBefore));
+        }
+        resetStroke();
+    };
+
+    // A second finger turns the touch into a gesture, so drop the dab the first one left.
+    const abandonStroke = () => {
+        if (state.drawing && state.strokeBefore) maskCtx.putImageData(state.strokeBefore, 0, 0);
+        resetStroke();
+    };
+
+    const pointerDown = (e: PointerEvent) => {
+        if (!state.img) return;
+        pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        maskCanvas.setPointerCapture(e.pointerId);
+
+        if (pointers.size === 2) {
+            abandonStroke();
+            const [a, b] = Array.from(pointers.values());
+            const mid = stagePoint((a.x + b.x) / 2, (a.y + b.y) / 2);
+            gesture = { kind: 'pinch', dist: pointerDistance(a, b), mid, from: view };
+        } else if (pointers.size === 1 && (spaceHeld || comparing || e.button === 1)) {
+            gesture = { kind: 'pan', start: stagePoint(e.clientX, e.clientY), from: view };
+            stage.classList.add('is-panning');
+        } else if (pointers.size === 1 && !gesture && state.tool === 'wand') {
+            pickRegion(e);
+        } else if (pointers.size === 1 && !gesture) {
+            startStroke(e);
+        }
+    };
+
+    const pointerMove = (e: PointerEvent) => {
+        if (pointers.has(e.pointerId)) pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+        if (gesture && gesture.kind === 'pinch' && pointers.size >= 2) {
+            const [a, b] = Array.from(pointers.values());
+            const mid = stagePoint((a.x + b.x) / 2, (a.y + b.y) / 2);
+            const zoomed = zoomAround(gesture.from, gesture.mid, (gesture.from.zoom * pointerDistance(a, b)) / gesture.dist);
+            setView({ zoom: zoomed.zoom, x: zoomed.x + mid.x - gesture.mid.x, y: zoomed.y + mid.y - gesture.mid.y });
+            return;
+        }
+
+        if (gesture && gesture.kind === 'pan') {
+            const p = stagePoint(e.clientX, e.clientY);
+            setView({ zoom: gesture.from.zoom, x: gesture.from.x + p.x - gesture.start.x, y: gesture.from.y + p.y - gesture.start.y });
+            return;
+        }
+
+        drawStroke(e);
+    };
+
+    const pointerUp = (e: PointerEvent) => {
+        pointers.delete(e.pointerId);
+
+        if (gesture) {
+            // Wait for every finger to lift before drawing again.
+            if (pointers.size === 0) {
+                gesture = null;
+                stage.classList.remove('is-panning');
+            }
+            return;
+        }
+
+        endStroke();
     };
 
     maskCanvas.addEventListener('pointerdown', pointerDown);
     maskCanvas.addEventListener('pointermove', pointerMove);
     maskCanvas.addEventListener('pointerup', pointerUp);
     maskCanvas.addEventListener('pointercancel', pointerUp);
+    maskCanvas.addEventListener('pointerleave', () => {
+        if (!state.drawing) drawCursor(null);
+    });
+
+    toolButtons.forEach((btn) => {
+        btn.addEventListener('click', () => setTool(btn.dataset.tool as Tool));
+    });
+
+    stage.addEventListener(
+        'wheel',
+        (e) => {
+            if (!state.img) return;
+            e.preventDefault();
+            // Trackpad pinches arrive as ctrl+wheel with small deltas; give them a stronger response.
+            const speed = e.ctrlKey ? 0.01 : 0.0015;
+            zoomTo(view.zoom * Math.exp(-e.deltaY * speed), stagePoint(e.clientX, e.clientY));
+        },
+        { passive: false }
+    );
+
+    btnCompare.addEventListener('click', () => setComparing(!comparing));
+
+    // Original on the left of the handle, current result on the right.
+    compareHandle.addEventListener('pointerdown', (e) => {
+        e.stopPropagation();
+        compareHandle.setPointerCapture(e.pointerId);
+    });
+    compareHandle.addEventListener('pointermove', (e) => {
+        if (!compareHandle.hasPointerCapture(e.pointerId)) return;
+        const rect = stageView.getBoundingClientRect();
+        setSplit((e.clientX - rect.left) / rect.width);
+    });
+    compareHandle.addEventListener('keydown', (e) => {
+        if (e.key === 'ArrowLeft') setSplit(split - 0.05);
+        if (e.key === 'ArrowRight') setSplit(split + 0.05);
+    });
+
+    const holdOriginal = (on: boolean) => {
+        if (on && !state.img) return;
+        stage.classList.toggle('is-showing-original', on);
+    };
+
+    btnHoldOriginal.addEventListener('pointerdown', () => holdOriginal(true));
+    btnHoldOriginal.addEventListener('pointerup', () => holdOriginal(false));
+    btnHoldOriginal.addEventListener('pointerleave', () => holdOriginal(false));
+    btnHoldOriginal.addEventListener('pointercancel', () => holdOriginal(false));
+    btnHoldOriginal.addEventListener('keydown', (e) => {
+        if (e.key === ' ' || e.key === 'Enter') holdOriginal(true);
+    });
+    btnHoldOriginal.addEventListener('keyup', () => holdOriginal(false));
+    btnHoldOriginal.addEventListener('blur', () => holdOriginal(false));
+
+    btnZoomFit.addEventListener('click', () => setView({ zoom: 1, x: 0, y: 0 }));
+    btnZoom100.addEventListener('click', () => {
+        if (!state.img) return;
+        zoomTo(state.img.width / stageView.offsetWidth);
+    });
+
+    window.addEventListener('resize', () => setView(view));
+
+    document.addEventListener('keyup', (e) => {
+        if (e.code !== 'Space') return;
+        spaceHeld = false;
+        stage.classList.remove('is-spacing');
+    });
 
     document.addEventListener('keydown', (e) => {
         if (e.key === 'Escape') {
-            state.drawing = false;
-            state.lastPoint = null;
+            // Brush strokes keep what was painted so far; unfinished shapes are dropped.
+            if (state.tool === 'brush' || state.tool === 'eraser') endStroke();
+            else abandonStroke();
+            return;
+        }
+
+        const target = e.target as HTMLElement | null;
+        if (target && target.matches('input[type="text"], textarea')) return;
+
+        if (e.code === 'Space' && state.img) {
+            // Keep the page from scrolling, unless a button wants the key.
+            if (!(target && target.matches('button, input, select'))) e.preventDefault();
+            spaceHeld = true;
+            stage.classList.add('is-spacing');
+            return;
+        }
+        const tool = TOOL_KEYS[e.key.toLowerCase()];
+        if (tool && !e.ctrlKey && !e.metaKey && !e.altKey && !state.drawing) {
+            setTool(tool);
+            return;
+        }
+
+        if (!(e.ctrlKey || e.metaKey) || !state.img) return;
+
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            undo();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            e.preventDefault();
+            redo();
         }
     });
 
     brushSize.addEventListener('input', syncControls);
+    brushHardness.addEventListener('input', syncControls);
+    maskGrow.addEventListener('input', syncControls);
+    maskOverlay.addEventListener('change', syncControls);
+    inpaintMethod.addEventListener('change', syncControls);
     inpaintRadius.addEventListener('input', syncControls);
+    patchSize.addEventListener('input', syncControls);
+    patchIterations.addEventListener('input', syncControls);
+    exportFormat.addEventListener('change', syncControls);
 
     btnClear.addEventListener('click', () => {
         if (!state.img) return;
-        clearMask(maskCtx, maskCanvas.width, maskCanvas.height);
+        const { width, height } = maskCanvas;
+        const before = maskCtx.getImageData(0, 0, width, height);
+        // Nothing to clear means nothing to undo either.
+        if (!maskBounds(binarizeMask(before.data, width, height), width, height)) return;
+        clearMask(maskCtx, width, height);
+        record(snapshot(maskCtx, 'mask', before));
         setStatus('ล้างมาสก์แล้ว');
     });
 
+    const detect = async () => {
+        const img = state.img;
+        if (!img || state.busy) return;
+
+        // Re-detecting replaces the previous suggestion as long as nothing was drawn since.
+        if (suggestion && history.undo[history.undo.length - 1] === suggestion) {
+            discardLast(history);
+            maskCtx.putImageData(suggestion.before, 0, 0);
+        }
+        suggestion = null;
+
+        state.busy = true;
+        syncControls();
+        setStatus('กำลังค้นหาลายน้ำ…');
+
+        const { width, height } = imgCanvas;
+        const image = imgCtx.getImageData(0, 0, width, height).data;
+        const sensitivity = Number(detectSensitivity.value) / 100;
+
+        try {
+            const reply = await cvWorker.run({ type: 'detect', width, height, image: image.buffer, sensitivity }, [image.buffer]);
+            if (reply.type !== 'mask' || state.img !== img) return;
+
+            const found = new Uint8Array(reply.mask);
+            const count = found.reduce((n, v) => n + (v ? 1 : 0), 0);
+
+            const before = maskCtx.getImageData(0, 0, width, height);
+            maskCtx.drawImage(maskLayer(found, width, height), 0, 0);
+            suggestion = snapshot(maskCtx, 'mask', before);
+            record(suggestion);
+
+            setStatus(count > 0 ? 'เจอบริเวณที่น่าจะเป็นลายน้ำ: ตรวจ/ระบายเพิ่มได้ แล้วกด “ลบลายน้ำ”' : 'ไม่เจอลายน้ำ ลองเพิ่มความไว หรือระบายเอง');
+        } catch (err) {
+            const cancelled = err instanceof Error && err.message === JOB_CANCELLED;
+            setStatus(cancelled ? 'ยกเลิกการค้นหาแล้ว' : 'ค้นหาลายน้ำไม่สำเร็จ ลองระบายเอง');
+        } finally {
+            state.busy = false;
+            syncControls();
+        }
+    };
+
+    btnDetect.addEventListener('click', detect);
+
+    detectSensitivity.addEventListener('input', () => {
+        if (!suggestion) return;
+        if (detectTimer !== null) window.clearTimeout(detectTimer);
+        detectTimer = window.setTimeout(() => {
+            detectTimer = null;
+            if (suggestion && history.undo[history.undo.length - 1] === suggestion) detect();
+        }, 300);
+    });
+
+    btnUndo.addEventListener('click', undo);
+    btnRedo.addEventListener('click', redo);
+
     btnRemove.addEventListener('click', async () => {
-        if (!state.img) return;
-        const cv = (window as any).cv as CvLike | undefined;
-        if (!cv || !isCvReady()) {
-            setStatus('OpenCV.js ยังไม่พร้อม');
+        const img = state.img;
+        if (!img || state.busy) return;
+
+        const mask = drawnMask();
+        if (!maskBounds(mask.mask, mask.width, mask.height)) {
+            setStatus('ยังไม่ได้ระบายมาสก์ทับลายน้ำ');
             return;
         }
 
-        btnRemove.disabled = true;
+        stopPlayback();
+        state.busy = true;
+        syncControls();
         setStatus('กำลังลบลายน้ำ…');
 
-        await new Promise<void>((resolve) => window.setTimeout(resolve, 20));
+        // Animations run the same mask over every frame and undo as one step.
+        const targets = frames.length > 1 ? frames.map((_, i) => i) : [undefined];
+        const patches: HistoryEntry[] = [];
 
         try {
-            inpaintToCanvas(cv, imgCanvas, maskCanvas, outCanvas, state.radius);
-            imgCtx.clearRect(0, 0, imgCanvas.width, imgCanvas.height);
-            imgCtx.drawImage(outCanvas, 0, 0);
+            // Brush and radius are picked on the preview, so scale the radius up to source pixels.
+            const options = { ...state.inpaint, radius: state.inpaint.radius / state.scale };
+            for (let n = 0; n < targets.length; n++) {
+                const frame = targets[n];
+                const ctx = frameCtx(frame);
+                const result = await inpaintCanvas(ctx, mask, options, (done, total) => {
+                    const pct = Math.round((done / total) * 100);
+                    setStatus(targets.length > 1 ? `กำลังลบลายน้ำ… เฟรม ${n + 1}/${targets.length} ${pct}%` : `กำลังลบลายน้ำ… ${pct}%`);
+                });
+                if (state.img !== img) return;
+                if (!result) continue;
+
+                const { region, before, after } = result;
+                ctx.putImageData(after, region.x, region.y);
+                patches.push({ layer: 'image', x: region.x, y: region.y, before, after, frame });
+            }
+            if (patches.length === 0) return;
+
+            renderPreview(srcCanvas, imgCanvas, imgCtx);
+            const [first, ...rest] = patches;
+            record(rest.length > 0 ? { ...first, linked: rest } : first);
             setStatus('เสร็จแล้ว: ถ้าจำเป็น ระบายเพิ่มแล้วกดลบซ้ำได้');
+        } catch (err) {
+            // Frames finished before a cancel go back too, so the animation stays consistent.
+            if (state.img === img) {
+                patches.forEach((p) => frameCtx(p.frame).putImageData(p.before, p.x, p.y));
+                renderPreview(srcCanvas, imgCanvas, imgCtx);
+            }
+            if (err instanceof Error && err.message === JOB_CANCELLED) {
+                setStatus('ยกเลิกแล้ว: ภาพยังเหมือนเดิม');
+            } else {
+                setStatus('ประมวลผลไม่สำเร็จ ลองลดขนาดรูปหรือรีเฟรชหน้าเว็บ');
+            }
+        } finally {
+            state.busy = false;
+            syncControls();
+        }
+    });
+
+    const setBatchRow = (item: BatchItem, text: string, tone: '' | 'done' | 'error' = '') => {
+        const label = item.row.querySelector<HTMLElement>('.batch__state');
+        if (label) label.textContent = text;
+        item.row.dataset.tone = tone;
+    };
+
+    const addToBatch = (files: File[]) => {
+        files.forEach((file) => {
+            const row = document.createElement('li');
+            row.className = 'batch__item';
+
+            const name = document.createElement('span');
+            name.className = 'batch__name';
+            name.textContent = file.name;
+
+            const label = document.createElement('span');
+            label.className = 'batch__state';
+
+            row.append(name, label);
+            batchList.appendChild(row);
+
+            const item: BatchItem = { file, row, result: null };
+            batch.push(item);
+            setBatchRow(item, 'รอคิว');
+        });
+        syncControls();
+    };
+
+    const processBatchItem = async (item: BatchItem, mask: MaskSpec) => {
+        const source = await readSourceImage(item.file);
+        const canvas = source.canvas;
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        if (!ctx) throw new Error('Canvas unsupported');
+
+        // The mask is stretched onto each image, and the radius follows the same scale.
+        const factor = canvas.width / mask.width;
+        const options = { ...state.inpaint, radius: state.inpaint.radius * factor };
+        const result = await inpaintCanvas(ctx, mask, options, (done, total) => {
+            setBatchRow(item, `${Math.round((done / total) * 100)}%`);
+        });
+        if (result) ctx.putImageData(result.after, result.region.x, result.region.y);
+
+        const format = exportFormatFor(item.file.type);
+        return encodeImage(canvas, format, exportQuality.valueAsNumber / 100, keepMetadata.checked ? source.metadata : []);
+    };
+
+    const runBatch = async () => {
+        if (!state.img || state.busy || batch.length === 0) return;
+        // Taken once so every image gets the same mask, even if it is edited mid-run.
+        const mask = drawnMask();
+        if (!maskBounds(mask.mask, mask.width, mask.height)) {
+            setStatus('ระบายมาสก์บนรูปตัวอย่างก่อน แล้วค่อยประมวลผลทั้งชุด');
+            return;
+        }
+
+        state.busy = true;
+        batchCancelled = false;
+        syncControls();
+
+        let done = 0;
+        for (let i = 0; i < batch.length && !batchCancelled; i++) {
+            const item = batch[i];
+            if (item.result) {
+                done++;
+                continue;
+            }
+
+            setStatus(`กำลังประมวลผลชุดรูป… ${i + 1}/${batch.length}`);
+            setBatchRow(item, 'กำลังประมวลผล…');
+            try {
+                item.result = await processBatchItem(item, mask);
+                setBatchRow(item, 'เสร็จแล้ว', 'done');
+                done++;
+            } catch (err) {
+                const cancelled = err instanceof Error && err.message === JOB_CANCELLED;
+                setBatchRow(item, cancelled ? 'ยกเลิกแล้ว' : 'ไม่สำเร็จ', cancelled ? '' : 'error');
+            }
+        }
+
+        state.busy = false;
+        syncControls();
+        setStatus(batchCancelled ? `ยกเลิกชุดรูปแล้ว (เสร็จ ${done}/${batch.length})` : `ประมวลผลชุดรูปเสร็จ ${done}/${batch.length} รูป`);
+    };
+
+    btnBatchRun.addEventListener('click', runBatch);
+
+    btnBatchZip.addEventListener('click', async () => {
+        btnBatchZip.disabled = true;
+        try {
+            const taken = new Set<string>();
+            const entries: ZipEntry[] = [];
+            for (const item of batch) {
+                if (!item.result) continue;
+                const name = uniqueName(exportName(item.file.name, item.result.type), taken);
+                entries.push({ name, data: new Uint8Array(await item.result.arrayBuffer()) });
+            }
+            if (entries.length === 0) return;
+
+            const url = URL.createObjectURL(createZip(entries));
+            saveFile(url, 'airemove-batch.zip');
+            window.setTimeout(() => URL.revokeObjectURL(url), 1000);
         } catch {
-            setStatus('ประมวลผลไม่สำเร็จ ลองลดขนาดรูปหรือรีเฟรชหน้าเว็บ');
+            setStatus('สร้างไฟล์ ZIP ไม่สำเร็จ ลองอีกครั้ง');
+        } finally {
+            syncControls();
         }
+    });
 
-        btnRemove.disabled = false;
+    btnBatchClear.addEventListener('click', () => {
+        if (state.busy) return;
+        batch.length = 0;
+        batchList.innerHTML = '';
         syncControls();
     });
 
-    btnDownload.addEventListener('click', () => {
+    btnCancel.addEventListener('click', () => {
+        if (!state.busy) return;
+        batchCancelled = true;
+        cvWorker.cancel();
+        cvWorker.ready.catch(() => setStatus(cvFailedMessage()));
+    });
+
+    btnMaskExport.addEventListener('click', async () => {
         if (!state.img) return;
 
-        const url = imgCanvas.toDataURL('image/png');
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = 'airemove.png';
-        document.body.appendChild(a);
-        a.click();
-        a.remove();
+        // Saved at source resolution so it lines up with the original file, not just the preview,
+        // and fitted the same way removal fits it. Grow/shrink stays a setting (the CLI's --grow).
+        const { width, height } = srcCanvas;
+        try {
+            const reply = await cvWorker.run({ type: 'prepare', width, height, mask: { ...drawnMask(), grow: 0 } }, []);
+            if (reply.type !== 'mask' || srcCanvas.width !== width || srcCanvas.height !== height) return;
+
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            canvas.getContext('2d')?.putImageData(maskToImageData(new Uint8Array(reply.mask), width, height), 0, 0);
+
+            const url = URL.createObjectURL(await canvasToBlob(canvas, 'image/png'));
+            saveFile(url, `${baseName(state.fileName) || 'airemove'}-mask.png`);
+            window.setTimeout(() => URL.revokeObjectURL(url), 1000);
+        } catch {
+            setStatus('บันทึกมาสก์ไม่สำเร็จ ลองอีกครั้ง');
+        }
+    });
+
+    btnMaskImport.addEventListener('click', () => maskFileInput.click());
+
+    maskFileInput.addEventListener('change', async () => {
+        const file = maskFileInput.files?.[0];
+        maskFileInput.value = '';
+        if (!file || !state.img) return;
+
+        try {
+            // Whatever size the file is, it is stretched over the current image.
+            const img = await decodeImage(file);
+            const { width, height } = maskCanvas;
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            const ctx = canvas.getContext('2d', { willReadFrequently: true });
+            if (!ctx) throw new Error('Canvas unsupported');
+            ctx.drawImage(img, 0, 0, width, height);
+            const mask = imageDataToMask(ctx.getImageData(0, 0, width, height).data);
+
+            const before = maskCtx.getImageData(0, 0, width, height);
+            clearMask(maskCtx, width, height);
+            maskCtx.drawImage(maskLayer(mask, width, height), 0, 0);
+            suggestion = null;
+            record(snapshot(maskCtx, 'mask', before));
+            setStatus('โหลดมาสก์แล้ว: ตรวจดูแล้วกด “ลบลายน้ำ”');
+        } catch {
+            setStatus('เปิดไฟล์มาสก์ไม่สำเร็จ ใช้ไฟล์ PNG ขาว-ดำ');
+        }
+    });
+
+    const restoreSession = async (session: SavedSession) => {
+        restorePanel.hidden = true;
+        pendingSession = null;
+
+        try {
+            await loadImageFromFile(new File([session.source], session.fileName, { type: session.fileType }));
+            const [result, mask] = await Promise.all([decodeImage(session.result), decodeImage(session.mask)]);
+
+            srcCtx.drawImage(result, 0, 0, srcCanvas.width, srcCanvas.height);
+            renderPreview(srcCanvas, imgCanvas, imgCtx);
+            clearMask(maskCtx, maskCanvas.width, maskCanvas.height);
+            maskCtx.drawImage(mask, 0, 0, maskCanvas.width, maskCanvas.height);
+            setStatus('กู้คืนงานล่าสุดแล้ว (ประวัติย้อนกลับเริ่มใหม่จากจุดนี้)');
+        } catch {
+            setStatus('กู้คืนงานไม่สำเร็จ ลองอัปโหลดรูปใหม่');
+        }
+    };
+
+    const offerRestore = async () => {
+        try {
+            pendingSession = (await loadSession()) || null;
+        } catch {
+            return;
+        }
+        if (!pendingSession || state.img) return;
+
+        const savedAt = new Date(pendingSession.savedAt).toLocaleString('th-TH');
+        restoreMeta.textContent = `${pendingSession.fileName} • ${savedAt}`;
+        restorePanel.hidden = false;
+    };
+
+    btnRestore.addEventListener('click', () => {
+        if (pendingSession) restoreSession(pendingSession);
+    });
+
+    btnRestoreDiscard.addEventListener('click', () => {
+        pendingSession = null;
+        restorePanel.hidden = true;
+        clearSession().catch(() => undefined);
+    });
+
+    btnDownload.addEventListener('click', async () => {
+        if (!state.img) return;
+        btnDownload.disabled = true;
+
+        try {
+            if (frames.length > 1) {
+                showFrame(frameIndex);
+                const blob = await encodeApng(frames.map((f) => ({ canvas: f.canvas, delay: f.delay })));
+                const url = URL.createObjectURL(blob);
+                saveFile(url, exportName(state.fileName, 'image/png'));
+                window.setTimeout(() => URL.revokeObjectURL(url), 1000);
+                setStatus('ดาวน์โหลดเป็น APNG (PNG เคลื่อนไหว) แล้ว');
+                return;
+            }
+
+            const format = exportFormatFor(state.fileType);
+            const metadata = keepMetadata.checked ? state.metadata : [];
+            const blob = await encodeImage(srcCanvas, format, exportQuality.valueAsNumber / 100, metadata);
+            const url = URL.createObjectURL(blob);
+            saveFile(url, exportName(state.fileName, blob.type));
+            window.setTimeout(() => URL.revokeObjectURL(url), 1000);
+        } catch {
+            setStatus('บันทึกไฟล์ไม่สำเร็จ ลองอีกครั้ง หรือเลือกรูปแบบไฟล์อื่น');
+        } finally {
+            syncControls();
+        }
+    });
+
+    // One file edits as before; several files also queue up for batch mode,
+    // with the first one loaded so there is something to draw the mask on.
+    // A file that fails to decode is reported here, since both callers are
+    // event handlers with nobody to catch the rejection.
+    const openFiles = async (list: FileList | null | undefined) => {
+        const files = Array.from(list || []).filter((f) => f.type.startsWith('image/'));
+        if (files.length === 0) return;
+
+        try {
+            if (files.length === 1) {
+                await loadImageFromFile(files[0]);
+                return;
+            }
+
+            if (!state.img) await loadImageFromFile(files[0]);
+        } catch {
+            setStatus('เปิดรูปไม่สำเร็จ: ไฟล์อาจเสียหายหรือเป็นรูปแบบที่ไม่รองรับ');
+            return;
+        }
+        addToBatch(files);
+        setStatus(`เพิ่ม ${files.length} รูปในชุดแล้ว: ระบายมาสก์ แล้วกด “ลบทั้งชุด”`);
+    };
+
+    sequenceInput.addEventListener('change', async () => {
+        const files = Array.from(sequenceInput.files || []).filter((f) => f.type.startsWith('image/'));
+        sequenceInput.value = '';
+        if (files.length === 0) return;
+        try {
+            await openSequence(files);
+        } catch {
+            setStatus('เปิดลำดับเฟรมไม่สำเร็จ');
+        }
+    });
+
+    frameScrubber.addEventListener('input', () => {
+        stopPlayback();
+        showFrame(Number(frameScrubber.value));
+    });
+
+    btnPlay.addEventListener('click', () => {
+        if (playTimer !== null) {
+            stopPlayback();
+            return;
+        }
+        btnPlay.textContent = 'หยุด';
+        playNext();
     });
 
     fileInput.addEventListener('change', async () => {
-        const f = fileInput.files?.[0];
-        if (!f) return;
-        await loadImageFromFile(f);
+        await openFiles(fileInput.files);
+        fileInput.value = '';
     });
 
     const onDrop = async (e: DragEvent) => {
         e.preventDefault();
-        const f = e.dataTransfer?.files?.[0];
-        if (!f) return;
-        await loadImageFromFile(f);
+        await openFiles(e.dataTransfer?.files);
     };
 
     const onDragOver = (e: DragEvent) => {
@@ -352,6 +1869,9 @@ function inpaintToCanvas(cv: CvLike, imgCanvas: HTMLCanvasElement, maskCanvas: H
     stage.addEventListener('dragover', onDragOver);
 
     setEmpty(true);
+    setTool('brush');
     syncControls();
     ensureCv();
+    registerServiceWorker();
+    offerRestore();
 })();
@@ -0,0 +1,70 @@
+const sw = self;
+// Bump the version whenever a precached file changes; that is what makes
+// open tabs see "update available".
+const CACHE = 'airemove-v11';
+const FONT_CACHE = 'airemove-fonts';
+const PRECACHE = [
+    '/airemove/',
+    '/airemove/style.css',
+    '/airemove/pipeline.js',
+    '/airemove/animation.js',
+    '/airemove/script.js',
+    '/airemove/worker.js',
+    '/airemove/vendor/opencv.js',
+    '/airemove/manifest.webmanifest',
+    '/airemove/icon-192.png',
+    '/airemove/icon-512.png',
+    '/favicon.png'
+];
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+sw.addEventListener('install', (e) => {
+    e.waitUntil(caches.open(CACHE).then((cache) => cache.addAll(PRECACHE)));
+});
+sw.addEventListener('activate', (e) => {
+    e.waitUntil((async () => {
+        const keys = await caches.keys();
+        await Promise.all(keys.filter((key) => key !== CACHE && key !== FONT_CACHE).map((key) => caches.delete(key)));
+        await sw.clients.claim();
+    })());
+});
+// The page asks for this once the user agrees to reload into the new version.
+sw.addEventListener('message', (e) => {
+    if (e.data && e.data.type === 'skip-waiting')
+        sw.skipWaiting();
+});
+async function fromCache(request) {
+    const cache = await caches.open(CACHE);
+    const hit = await cache.match(request, { ignoreSearch: true });
+    return hit || fetch(request);
+}
+// Fonts are nice to have offline but never worth blocking on.
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(FONT_CACHE);
+    const hit = await cache.match(request);
+    const update = fetch(request)
+        .then((res) => {
+        if (res.ok || res.type === 'opaque')
+            cache.put(request, res.clone());
+        return res;
+    })
+        .catch(() => hit || Response.error());
+    return hit || update;
+}
+sw.addEventListener('fetch', (e) => {
+    const { request } = e;
+    if (request.method !== 'GET')
+        return;
+    const url = new URL(request.url);
+    if (FONT_HOSTS.includes(url.hostname)) {
+        e.respondWith(staleWhileRevalidate(request));
+        return;
+    }
+    if (url.origin !== location.origin)
+        return;
+    if (request.mode === 'navigate' && (url.pathname === '/airemove/' || url.pathname === '/airemove/index.html')) {
+        e.respondWith(fromCache(new Request('/airemove/')));
+        return;
+    }
+    if (PRECACHE.includes(url.pathname))
+        e.respondWith(fromCache(request));
+});
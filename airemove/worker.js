@@ -0,0 +1,75 @@
+importScripts('/airemove/pipeline.js');
+// Served from our own deployment (see scripts/copy-opencv.js) so the service worker can cache it.
+const OPENCV_URL = '/airemove/vendor/opencv.js';
+function post(message, transfer = []) {
+    self.postMessage(message, transfer);
+}
+function isCvReady() {
+    const cv = self.cv;
+    return !!(cv && cv.Mat);
+}
+function waitForCvReady(timeoutMs = 20000) {
+    if (isCvReady())
+        return Promise.resolve();
+    const start = Date.now();
+    return new Promise((resolve, reject) => {
+        const tick = () => {
+            if (isCvReady()) {
+                resolve();
+                return;
+            }
+            if (Date.now() - start > timeoutMs) {
+                reject(new Error('OpenCV.js load timeout'));
+                return;
+            }
+            setTimeout(tick, 50);
+        };
+        tick();
+    });
+}
+const cvReady = (async () => {
+    importScripts(OPENCV_URL);
+    // Newer OpenCV.js builds expose `cv` as a promise of the module.
+    const pending = self.cv;
+    if (pending && !pending.Mat && typeof pending.then === 'function') {
+        pending.then((mod) => {
+            self.cv = mod;
+        });
+    }
+    await waitForCvReady();
+    return self.cv;
+})();
+cvReady.then(() => post({ type: 'ready' }), (err) => post({ type: 'error', message: err.message }));
+function runInpaint(cv, job) {
+    const { region } = job;
+    const image = { data: new Uint8ClampedArray(job.image), width: region.w, height: region.h };
+    const mask = cropMask(prepareMask(cv, job.mask, job.width, job.height), job.width, region);
+    inpaintTiled(cv, image, mask, job.options, (done, total) => {
+        post({ type: 'progress', id: job.id, done, total });
+    });
+    post({ type: 'result', id: job.id, image: image.data.buffer }, [image.data.buffer]);
+}
+function runPrepare(cv, job) {
+    const mask = prepareMask(cv, job.mask, job.width, job.height);
+    post({ type: 'mask', id: job.id, mask: mask.buffer }, [mask.buffer]);
+}
+function runDetect(cv, job) {
+    const image = { data: new Uint8ClampedArray(job.image), width: job.width, height: job.height };
+    const mask = detectWatermarks(cv, image, job.sensitivity);
+    post({ type: 'mask', id: job.id, mask: mask.buffer }, [mask.buffer]);
+}
+self.onmessage = async (e) => {
+    const job = e.data;
+    try {
+        const cv = await cvReady;
+        if (job.type === 'inpaint')
+            runInpaint(cv, job);
+        if (job.type === 'prepare')
+            runPrepare(cv, job);
+        if (job.type === 'detect')
+            runDetect(cv, job);
+    }
+    catch (err) {
+        post({ type: 'error', id: job.id, message: err instanceof Error ? err.message : String(err) });
+    }
+};
@@ -0,0 +1,85 @@
+// Password login for the building2u admin. The password comes from
+// BUILDING2U_ADMIN_PASSWORD; a successful login sets an HttpOnly cookie holding
+// an expiry time signed with HMAC, so no server-side session store is needed.
+// Login attempts are counted in the store per client IP, and refused from that
+// IP for a while once the count runs out. There is deliberately no global limit:
+// anyone could use it to lock the owner out.
+const crypto = require('crypto');
+const { HttpError } = require('./http');
+const { bumpCounter, clearCounter } = require('./store');
+
+const COOKIE = 'b2u_admin';
+const COOKIE_PATH = '/api/building2u/admin';
+const SESSION_SECONDS = 12 * 60 * 60;
+const LOCKOUT_SECONDS = 15 * 60;
+const MAX_ATTEMPTS_PER_IP = 5;
+
+function adminPassword() {
+    const password = process.env.BUILDING2U_ADMIN_PASSWORD;
+    if (!password) throw new HttpError(503, 'ยังไม่ได้ตั้งรหัสผ่านผู้ดูแล (BUILDING2U_ADMIN_PASSWORD)');
+    return password;
+}
+
+function sign(value) {
+    const secret = process.env.BUILDING2U_ADMIN_SECRET || adminPassword();
+    return crypto.createHmac('sha256', secret).update(value).digest('base64url');
+}
+
+function safeEqual(a, b) {
+    const left = crypto.createHash('sha256').update(a).digest();
+    const right = crypto.createHash('sha256').update(b).digest();
+    return crypto.timingSafeEqual(left, right);
+}
+
+function readCookie(req, name) {
+    for (const part of (req.headers.cookie || '').split(';')) {
+        const [key, ...rest] = part.trim().split('=');
+        if (key === name) return rest.join('=');
+    }
+    return '';
+}
+
+function cookieFlags(req) {
+    const secure = process.env.VERCEL || req.headers['x-forwarded-proto'] === 'https';
+    return `Path=${COOKIE_PATH}; HttpOnly; SameSite=Strict${secure ? '; Secure' : ''}`;
+}
+
+function isAdmin(req) {
+    const [expires, mac] = readCookie(req, COOKIE).split('.');
+    if (!expires || !mac || Number(expires) < Date.now() / 1000) return false;
+    return safeEqual(mac, sign(expires));
+}
+
+function requireAdmin(req) {
+    if (!isAdmin(req)) throw new HttpError(401, 'กรุณาเข้าสู่ระบบ');
+}
+
+// Vercel sets x-real-ip to the connecting client; dev.js has only the socket.
+function clientIp(req) {
+    return String(req.headers['x-real-ip'] || req.socket.remoteAddress || 'unknown');
+}
+
+// Every attempt is counted before the password is checked, so parallel requests
+// can't all get in under the limit. Wrong passwords also wait a moment.
+async function login(req, res, password) {
+    const expected = adminPassword();
+    const ipKey = `admin-login:${clientIp(req)}`;
+    if ((await bumpCounter(ipKey, LOCKOUT_SECONDS)) > MAX_ATTEMPTS_PER_IP) {
+        throw new HttpError(429, `ลองรหัสผ่านผิดหลายครั้งเกินไป กรุณารอ ${LOCKOUT_SECONDS / 60} นาทีแล้วลองใหม่`);
+    }
+
+    if (typeof password !== 'string' || !safeEqual(password, expected)) {
+        await new Promise((resolve) => setTimeout(resolve, 600));
+        throw new HttpError(401, 'รหัสผ่านไม่ถูกต้อง');
+    }
+    await clearCounter(ipKey);
+
+    const expires = String(Math.floor(Date.now() / 1000) + SESSION_SECONDS);
+    res.setHeader('Set-Cookie', `${COOKIE}=${expires}.${sign(expires)}; Max-Age=${SESSION_SECONDS}; ${cookieFlags(req)}`);
+}
+
+function logout(req, res) {
+    res.setHeader('Set-Cookie', `${COOKIE}=; Max-Age=0; ${cookieFlags(req)}`);
+}
+
+module.exports = { isAdmin, requireAdmin, login, logout };
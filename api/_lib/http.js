@@ -0,0 +1,61 @@
+// Small request/response helpers shared by the API routes. They only use the
+// plain Node http interface, so the routes also run under scripts/dev.js.
+const MAX_BODY = 64 * 1024;
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function sendJson(res, status, payload) {
+    res.statusCode = status;
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-store');
+    res.end(JSON.stringify(payload));
+}
+
+// Vercel pre-parses JSON bodies into req.body; otherwise read the stream.
+async function readJson(req, limit = MAX_BODY) {
+    if (req.body !== undefined) {
+        if (typeof req.body === 'string') return parseJson(req.body);
+        if (Buffer.isBuffer(req.body)) return parseJson(req.body.toString('utf8'));
+        return req.body;
+    }
+
+    let size = 0;
+    const chunks = [];
+    for await (const chunk of req) {
+        size += chunk.length;
+        if (size > limit) throw new HttpError(413, 'ข้อมูลมีขนาดใหญ่เกินไป');
+        chunks.push(chunk);
+    }
+    return parseJson(Buffer.concat(chunks).toString('utf8'));
+}
+
+function parseJson(text) {
+    try {
+        return text ? JSON.parse(text) : {};
+    } catch {
+        throw new HttpError(400, 'รูปแบบข้อมูลไม่ถูกต้อง');
+    }
+}
+
+function allowMethods(req, res, methods) {
+    if (methods.includes(req.method)) return true;
+    res.setHeader('Allow', methods.join(', '));
+    sendJson(res, 405, { ok: false, error: 'ไม่รองรับคำขอนี้' });
+    return false;
+}
+
+function sendError(res, err) {
+    if (err instanceof HttpError) {
+        sendJson(res, err.status, { ok: false, error: err.message });
+        return;
+    }
+    console.error(err);
+    sendJson(res, 500, { ok: false, error: 'ระบบขัดข้อง กรุณาลองใหม่อีกครั้ง' });
+}
+
+module.exports = { HttpError, sendJson, readJson, allowMethods, sendError };
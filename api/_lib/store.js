@@ -0,0 +1,175 @@
+// Record store for the API routes. Production uses Vercel KV (Upstash REST)
+// when KV_REST_API_URL/KV_REST_API_TOKEN are set; local development falls
+// back to one JSON file per collection under DATA_DIR (default .data/).
+const fs = require('fs');
+const path = require('path');
+const { HttpError } = require('./http');
+
+const KEY_PREFIX = 'lnwtao:';
+
+function kvConfig() {
+    const url = process.env.KV_REST_API_URL;
+    const token = process.env.KV_REST_API_TOKEN;
+    return url && token ? { url, token } : null;
+}
+
+async function kvCommand(config, command) {
+    const res = await fetch(config.url, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${config.token}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify(command),
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok || data.error) throw new Error(`KV ${command[0]} failed: ${data.error || res.status}`);
+    return data.result;
+}
+
+// Runs the commands as one MULTI/EXEC transaction and returns their results.
+async function kvTransaction(config, commands) {
+    const res = await fetch(`${config.url.replace(/\/+$/, '')}/multi-exec`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${config.token}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify(commands),
+    });
+    const data = await res.json().catch(() => ({}));
+    const failed = Array.isArray(data) ? data.find((reply) => reply.error) : data;
+    if (!res.ok || !Array.isArray(data) || failed) {
+        throw new Error(`KV transaction failed: ${(failed && failed.error) || res.status}`);
+    }
+    return data.map((reply) => reply.result);
+}
+
+function dataDir() {
+    return process.env.DATA_DIR || path.join(process.cwd(), '.data');
+}
+
+function collectionFile(collection) {
+    if (!/^[a-z0-9-]+$/.test(collection)) throw new Error(`Bad collection name: ${collection}`);
+    return path.join(dataDir(), `${collection}.json`);
+}
+
+function readFileCollection(collection) {
+    try {
+        return JSON.parse(fs.readFileSync(collectionFile(collection), 'utf8'));
+    } catch (err) {
+        if (err.code === 'ENOENT') return {};
+        throw err;
+    }
+}
+
+// Write to a temp file and rename so a crash never leaves half a JSON file.
+function writeFileCollection(collection, records) {
+    const file = collectionFile(collection);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(records, null, 2));
+    fs.renameSync(tmp, file);
+}
+
+// Vercel's filesystem is read-only and per-instance, so a file store there
+// would silently lose records.
+function assertWritable() {
+    if (process.env.VERCEL && !kvConfig()) {
+        throw new HttpError(503, 'ระบบบันทึกข้อมูลยังไม่พร้อม กรุณาโทรติดต่อเราโดยตรง');
+    }
+}
+
+async function saveRecord(collection, record) {
+    assertWritable();
+    const kv = kvConfig();
+    if (kv) {
+        await kvCommand(kv, ['HSET', KEY_PREFIX + collection, record.id, JSON.stringify(record)]);
+        return record;
+    }
+    const records = readFileCollection(collection);
+    records[record.id] = record;
+    writeFileCollection(collection, records);
+    return record;
+}
+
+// Saves only if no record with this id exists yet; returns whether it did.
+// HSETNX is atomic in KV, and the file path does its read-check-write
+// synchronously, so two requests can't both win the same id.
+async function insertRecord(collection, record) {
+    assertWritable();
+    const kv = kvConfig();
+    if (kv) {
+        const added = await kvCommand(kv, ['HSETNX', KEY_PREFIX + collection, record.id, JSON.stringify(record)]);
+        return added === 1;
+    }
+    const records = readFileCollection(collection);
+    if (records[record.id]) return false;
+    records[record.id] = record;
+    writeFileCollection(collection, records);
+    return true;
+}
+
+async function deleteRecord(collection, id) {
+    assertWritable();
+    const kv = kvConfig();
+    if (kv) {
+        await kvCommand(kv, ['HDEL', KEY_PREFIX + collection, id]);
+        return;
+    }
+    const records = readFileCollection(collection);
+    delete records[id];
+    writeFileCollection(collection, records);
+}
+
+async function getRecord(collection, id) {
+    const kv = kvConfig();
+    if (kv) {
+        const raw = await kvCommand(kv, ['HGET', KEY_PREFIX + collection, id]);
+        return raw ? JSON.parse(raw) : null;
+    }
+    return readFileCollection(collection)[id] || null;
+}
+
+async function listRecords(collection) {
+    const kv = kvConfig();
+    if (kv) {
+        // HGETALL comes back as a flat [field, value, field, value, ...] list.
+        const flat = (await kvCommand(kv, ['HGETALL', KEY_PREFIX + collection])) || [];
+        const records = [];
+        for (let i = 1; i < flat.length; i += 2) records.push(JSON.parse(flat[i]));
+        return records;
+    }
+    return Object.values(readFileCollection(collection));
+}
+
+// Counters that start over `ttlSeconds` after their first bump, for rate limits.
+// INCR is atomic in KV and the file path is synchronous, so concurrent bumps
+// each see a distinct count. The TTL goes in the same KV transaction as the
+// INCR (NX keeps an existing one), so a counter can never be left without it.
+async function bumpCounter(name, ttlSeconds) {
+    assertWritable();
+    const kv = kvConfig();
+    if (kv) {
+        const key = `${KEY_PREFIX}counter:${name}`;
+        const [count] = await kvTransaction(kv, [
+            ['INCR', key],
+            ['EXPIRE', key, ttlSeconds, 'NX'],
+        ]);
+        return count;
+    }
+    const counters = readFileCollection('counters');
+    const now = Date.now();
+    const current = counters[name] && counters[name].expiresAt > now ? counters[name] : { count: 0, expiresAt: now + ttlSeconds * 1000 };
+    counters[name] = { count: current.count + 1, expiresAt: current.expiresAt };
+    writeFileCollection('counters', counters);
+    return counters[name].count;
+}
+
+async function clearCounter(name) {
+    assertWritable();
+    const kv = kvConfig();
+    if (kv) {
+        await kvCommand(kv, ['DEL', `${KEY_PREFIX}counter:${name}`]);
+        return;
+    }
+    const counters = readFileCollection('counters');
+    delete counters[name];
+    writeFileCollection('counters', counters);
+}
+
+module.exports = { saveRecord, insertRecord, deleteRecord, getRecord, listRecords, bumpCounter, clearCounter };
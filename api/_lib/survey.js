@@ -0,0 +1,96 @@
+// Site-survey slots generated from survey-schedule.json, plus the .ics file
+// handed back after a booking. Times in the schedule are local to utcOffset.
+const schedule = require('./survey-schedule.json');
+
+const DAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+function offsetMinutes() {
+    const match = /^([+-])(\d{2}):(\d{2})$/.exec(schedule.utcOffset);
+    if (!match) throw new Error(`Bad utcOffset: ${schedule.utcOffset}`);
+    const minutes = Number(match[2]) * 60 + Number(match[3]);
+    return match[1] === '-' ? -minutes : minutes;
+}
+
+// Slot ids are local "YYYY-MM-DDTHH:MM", which also makes them sortable.
+function slotFromId(id) {
+    if (!/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/.test(id)) return null;
+    const start = new Date(`${id}:00${schedule.utcOffset}`);
+    if (Number.isNaN(start.getTime())) return null;
+    const end = new Date(start.getTime() + schedule.slotMinutes * 60000);
+    return { id, date: id.slice(0, 10), time: id.slice(11), start: start.toISOString(), end: end.toISOString() };
+}
+
+function listSlots(now = new Date()) {
+    const blackout = new Set(schedule.blackout);
+    const earliest = now.getTime() + schedule.minNoticeHours * 3600000;
+    const localToday = new Date(now.getTime() + offsetMinutes() * 60000);
+    localToday.setUTCHours(0, 0, 0, 0);
+
+    const slots = [];
+    for (let d = 0; d <= schedule.daysAhead; d++) {
+        const day = new Date(localToday.getTime() + d * 86400000);
+        const date = day.toISOString().slice(0, 10);
+        if (blackout.has(date)) continue;
+
+        for (const time of schedule.weekly[DAY_KEYS[day.getUTCDay()]] || []) {
+            const slot = slotFromId(`${date}T${time}`);
+            if (slot && new Date(slot.start).getTime() >= earliest) slots.push(slot);
+        }
+    }
+    return slots;
+}
+
+function findSlot(id, now = new Date()) {
+    return listSlots(now).find((slot) => slot.id === id) || null;
+}
+
+function icsText(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+function icsDate(iso) {
+    return iso.replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// RFC 5545 folds lines at 75 octets; never split a multi-byte character.
+function foldLine(line) {
+    const parts = [];
+    let current = '';
+    let bytes = 0;
+    for (const ch of line) {
+        const size = Buffer.byteLength(ch);
+        const limit = parts.length ? 74 : 75;
+        if (bytes + size > limit) {
+            parts.push(current);
+            current = '';
+            bytes = 0;
+        }
+        current += ch;
+        bytes += size;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+function bookingIcs(booking) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Sabcharoen//Site survey//TH',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        'BEGIN:VEVENT',
+        `UID:${booking.id}@building2u`,
+        `DTSTAMP:${icsDate(booking.createdAt)}`,
+        `DTSTART:${icsDate(booking.start)}`,
+        `DTEND:${icsDate(booking.end)}`,
+        `SUMMARY:${icsText('นัดสำรวจหน้างาน – ทรัพย์เจริญ')}`,
+        `LOCATION:${icsText(booking.address)}`,
+        `DESCRIPTION:${icsText(`ทีมงานทรัพย์เจริญจะเข้าสำรวจหน้างาน\nผู้ติดต่อ: ${booking.name} (${booking.phone})`)}`,
+        'END:VEVENT',
+        'END:VCALENDAR',
+    ];
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = { listSlots, findSlot, bookingIcs };
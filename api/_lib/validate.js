@@ -0,0 +1,28 @@
+// Field helpers shared by the form endpoints.
+function text(value) {
+    return typeof value === 'string' ? value.trim() : '';
+}
+
+// Thai numbers: mobiles are 06/08/09 + 8 digits, landlines 02–07 + 7 digits.
+// Accepts dashes/spaces and a +66 prefix; returns the 0-prefixed digits.
+function normalizePhone(value) {
+    const digits = text(value).replace(/[\s\-().]/g, '');
+    const local = digits.replace(/^\+?66/, '0');
+    return /^0[689]\d{8}$/.test(local) || /^0[2-7]\d{7}$/.test(local) ? local : null;
+}
+
+function checkName(value, errors) {
+    const name = text(value);
+    if (!name) errors.name = 'กรุณากรอกชื่อ';
+    else if (name.length > 100) errors.name = 'ชื่อยาวเกิน 100 ตัวอักษร';
+    return name;
+}
+
+function checkPhone(value, errors) {
+    const phone = normalizePhone(value);
+    if (!text(value)) errors.phone = 'กรุณากรอกเบอร์โทร';
+    else if (!phone) errors.phone = 'เบอร์โทรไม่ถูกต้อง ใช้เบอร์มือถือ 10 หลักหรือเบอร์บ้าน 9 หลัก';
+    return phone;
+}
+
+module.exports = { text, normalizePhone, checkName, checkPhone };
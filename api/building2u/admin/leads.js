@@ -0,0 +1,117 @@
+// GET   /api/building2u/admin/leads — every lead, newest first.
+//       ?format=csv (optionally with &status=…&service=…&q=…) downloads them as CSV.
+// PATCH /api/building2u/admin/leads — { id, status?, notes? } updates one lead.
+const { HttpError, sendJson, readJson, allowMethods, sendError } = require('../../_lib/http');
+const { requireAdmin } = require('../../_lib/admin');
+const { getRecord, saveRecord, listRecords } = require('../../_lib/store');
+const { text } = require('../../_lib/validate');
+
+const STATUSES = ['new', 'surveyed', 'quoted', 'won', 'lost'];
+
+const STATUS_LABELS = {
+    new: 'ใหม่',
+    surveyed: 'สำรวจแล้ว',
+    quoted: 'เสนอราคาแล้ว',
+    won: 'ได้งาน',
+    lost: 'ไม่ได้งาน',
+};
+
+const SERVICE_LABELS = {
+    'new-house': 'สร้างบ้านใหม่',
+    extension: 'ต่อเติม / ปรับปรุง',
+    renovation: 'รีโนเวท',
+    design: 'ออกแบบ / เขียนแบบ',
+};
+
+// Same matching as the dashboard's search box.
+function matches(lead, status, service, query) {
+    if (status && lead.status !== status) return false;
+    if (service && lead.service !== service) return false;
+    if (!query) return true;
+    const haystack = [lead.name, lead.phone, lead.message, lead.notes].join(' ').toLowerCase();
+    return haystack.includes(query.toLowerCase());
+}
+
+// Dashed so spreadsheets keep the leading 0 instead of reading a number.
+function csvPhone(phone) {
+    if (phone.length === 10) return `${phone.slice(0, 3)}-${phone.slice(3, 6)}-${phone.slice(6)}`;
+    if (phone.startsWith('02')) return `${phone.slice(0, 2)}-${phone.slice(2, 5)}-${phone.slice(5)}`;
+    return `${phone.slice(0, 3)}-${phone.slice(3, 6)}-${phone.slice(6)}`;
+}
+
+function csvCell(value) {
+    const cell = String(value ?? '');
+    // A leading = + - @ (or a tab or CR before one) would be run as a formula by spreadsheet apps.
+    const safe = /^[=+\-@\t\r]/.test(cell) ? `'${cell}` : cell;
+    return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+}
+
+function leadsCsv(leads) {
+    const header = ['วันที่', 'ชื่อ', 'เบอร์โทร', 'ประเภทงาน', 'รายละเอียด', 'สถานะ', 'บันทึก', 'รูป'];
+    const rows = leads.map((lead) => [
+        lead.createdAt,
+        lead.name,
+        csvPhone(lead.phone),
+        SERVICE_LABELS[lead.service] || lead.service,
+        lead.message,
+        STATUS_LABELS[lead.status] || lead.status,
+        lead.notes || '',
+        (lead.photos || []).length,
+    ]);
+    // The BOM makes Excel read the Thai text as UTF-8.
+    return '\uFEFF' + [header, ...rows].map((row) => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+async function list(req, res) {
+    const params = new URL(req.url, 'http://localhost').searchParams;
+    const leads = (await listRecords('leads')).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    if (params.get('format') !== 'csv') {
+        sendJson(res, 200, { ok: true, leads });
+        return;
+    }
+
+    const status = params.get('status') || '';
+    const service = params.get('service') || '';
+    const query = (params.get('q') || '').trim();
+    const date = new Date().toISOString().slice(0, 10);
+    res.statusCode = 200;
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="leads-${date}.csv"`);
+    res.setHeader('Cache-Control', 'no-store');
+    res.end(leadsCsv(leads.filter((lead) => matches(lead, status, service, query))));
+}
+
+async function update(req, res) {
+    const body = (await readJson(req)) || {};
+    const lead = typeof body.id === 'string' ? await getRecord('leads', body.id) : null;
+    if (!lead) throw new HttpError(404, 'ไม่พบรายการนี้');
+
+    const errors = {};
+    if (body.status !== undefined && !STATUSES.includes(body.status)) errors.status = 'สถานะไม่ถูกต้อง';
+    if (body.notes !== undefined && text(body.notes).length > 2000) errors.notes = 'บันทึกยาวเกิน 2000 ตัวอักษร';
+    if (Object.keys(errors).length) {
+        sendJson(res, 422, { ok: false, errors });
+        return;
+    }
+
+    const updated = await saveRecord('leads', {
+        ...lead,
+        status: body.status ?? lead.status,
+        notes: body.notes !== undefined ? text(body.notes) : lead.notes || '',
+        updatedAt: new Date().toISOString(),
+    });
+    sendJson(res, 200, { ok: true, lead: updated });
+}
+
+module.exports = async function handler(req, res) {
+    if (!allowMethods(req, res, ['GET', 'PATCH'])) return;
+
+    try {
+        requireAdmin(req);
+        if (req.method === 'PATCH') await update(req, res);
+        else await list(req, res);
+    } catch (err) {
+        sendError(res, err);
+    }
+};
@@ -0,0 +1,22 @@
+// GET /api/building2u/admin/photo?id=… — one site photo attached to a lead.
+const { HttpError, allowMethods, sendError } = require('../../_lib/http');
+const { requireAdmin } = require('../../_lib/admin');
+const { getRecord } = require('../../_lib/store');
+
+module.exports = async function handler(req, res) {
+    if (!allowMethods(req, res, ['GET'])) return;
+
+    try {
+        requireAdmin(req);
+        const id = new URL(req.url, 'http://localhost').searchParams.get('id') || '';
+        const photo = id ? await getRecord('lead-photos', id) : null;
+        if (!photo) throw new HttpError(404, 'ไม่พบรูปนี้');
+
+        res.statusCode = 200;
+        res.setHeader('Content-Type', photo.type);
+        res.setHeader('Cache-Control', 'private, max-age=86400');
+        res.end(Buffer.from(photo.data, 'base64'));
+    } catch (err) {
+        sendError(res, err);
+    }
+};
@@ -0,0 +1,23 @@
+// GET    /api/building2u/admin/session — 200 when logged in, 401 otherwise.
+// POST   /api/building2u/admin/session — log in with { password }.
+// DELETE /api/building2u/admin/session — log out.
+const { sendJson, readJson, allowMethods, sendError } = require('../../_lib/http');
+const { requireAdmin, login, logout } = require('../../_lib/admin');
+
+module.exports = async function handler(req, res) {
+    if (!allowMethods(req, res, ['GET', 'POST', 'DELETE'])) return;
+
+    try {
+        if (req.method === 'POST') {
+            const body = await readJson(req);
+            await login(req, res, body && body.password);
+        } else if (req.method === 'DELETE') {
+            logout(req, res);
+        } else {
+            requireAdmin(req);
+        }
+        sendJson(res, 200, { ok: true });
+    } catch (err) {
+        sendError(res, err);
+    }
+};
@@ -0,0 +1,94 @@
+// POST /api/building2u/booking — reserves a site-survey slot.
+// GET  /api/building2u/booking?id=… — the booking as an .ics calendar file.
+// A slot is claimed in the survey-slots collection before the booking is
+// saved, so two visitors racing for the same slot get one 201 and one 409.
+const crypto = require('crypto');
+const { sendJson, readJson, allowMethods, sendError } = require('../_lib/http');
+const { insertRecord, deleteRecord, saveRecord, getRecord } = require('../_lib/store');
+const { text, checkName, checkPhone } = require('../_lib/validate');
+const { findSlot, bookingIcs } = require('../_lib/survey');
+
+function validateBooking(body) {
+    const errors = {};
+    const name = checkName(body.name, errors);
+    const phone = checkPhone(body.phone, errors);
+    const address = text(body.address);
+    const note = text(body.note);
+    const slot = findSlot(text(body.slot));
+
+    if (!text(body.slot)) errors.slot = 'กรุณาเลือกวันและเวลา';
+    else if (!slot) errors.slot = 'ช่วงเวลานี้ไม่เปิดให้จองแล้ว กรุณาเลือกเวลาอื่น';
+
+    if (address.length < 10) errors.address = 'กรุณากรอกที่อยู่หน้างานให้ครบ';
+    else if (address.length > 500) errors.address = 'ที่อยู่ยาวเกิน 500 ตัวอักษร';
+
+    if (note.length > 1000) errors.note = 'หมายเหตุยาวเกิน 1000 ตัวอักษร';
+
+    return { errors, slot, value: { name, phone, address, note } };
+}
+
+async function book(req, res) {
+    const body = await readJson(req);
+    const { errors, slot, value } = validateBooking(body && typeof body === 'object' ? body : {});
+    if (Object.keys(errors).length) {
+        sendJson(res, 422, { ok: false, errors });
+        return;
+    }
+
+    const id = crypto.randomUUID();
+    const claimed = await insertRecord('survey-slots', { id: slot.id, bookingId: id });
+    if (!claimed) {
+        sendJson(res, 409, { ok: false, errors: { slot: 'มีผู้จองช่วงเวลานี้แล้ว กรุณาเลือกเวลาอื่น' } });
+        return;
+    }
+
+    const booking = {
+        id,
+        createdAt: new Date().toISOString(),
+        status: 'booked',
+        slot: slot.id,
+        start: slot.start,
+        end: slot.end,
+        ...value,
+    };
+    try {
+        await saveRecord('bookings', booking);
+    } catch (err) {
+        await deleteRecord('survey-slots', slot.id).catch(() => {});
+        throw err;
+    }
+
+    sendJson(res, 201, {
+        ok: true,
+        id,
+        start: booking.start,
+        end: booking.end,
+        ics: `/api/building2u/booking?id=${id}`,
+    });
+}
+
+async function calendar(req, res) {
+    const id = new URL(req.url, 'http://localhost').searchParams.get('id') || '';
+    const booking = /^[0-9a-f-]{36}$/.test(id) ? await getRecord('bookings', id) : null;
+    if (!booking) {
+        sendJson(res, 404, { ok: false, error: 'ไม่พบการจองนี้' });
+        return;
+    }
+
+    res.statusCode = 200;
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="survey-${booking.slot.slice(0, 10)}.ics"`);
+    res.setHeader('Cache-Control', 'no-store');
+    res.end(bookingIcs(booking));
+}
+
+module.exports = async function handler(req, res) {
+    if (!allowMethods(req, res, ['GET', 'POST'])) return;
+
+    try {
+        if (req.method === 'POST') await book(req, res);
+        else await calendar(req, res);
+    } catch (err) {
+        sendError(res, err);
+    }
+};
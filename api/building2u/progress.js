@@ -0,0 +1,28 @@
+// GET /api/building2u/progress?t=<token> — a client's project progress.
+// Projects live in the store's progress collection keyed by their token, so
+// client details never go into the repo; staff create and edit them with
+// scripts/progress.js. The token is the only key, so it has to be long and
+// random. DEMO_TOKEN serves a made-up fixture for showing the page around.
+const { HttpError, sendJson, allowMethods, sendError } = require('../_lib/http');
+const { getRecord } = require('../_lib/store');
+const demo = require('../_lib/progress-demo.json');
+
+const TOKEN = /^[A-Za-z0-9_-]{16,64}$/;
+const DEMO_TOKEN = 'demo-2f8c1a7e9b3d4c60';
+
+module.exports = async function handler(req, res) {
+    if (!allowMethods(req, res, ['GET'])) return;
+
+    try {
+        const token = new URL(req.url, 'http://localhost').searchParams.get('t') || '';
+        if (!TOKEN.test(token)) throw new HttpError(404, 'ไม่พบโครงการนี้');
+
+        const record = token === DEMO_TOKEN ? { project: demo } : await getRecord('progress', token);
+        if (!record) throw new HttpError(404, 'ไม่พบโครงการนี้');
+
+        res.setHeader('X-Robots-Tag', 'noindex, nofollow');
+        sendJson(res, 200, { ok: true, project: record.project });
+    } catch (err) {
+        sendError(res, err);
+    }
+};
@@ -0,0 +1,99 @@
+// POST /api/building2u/quote — stores a quote request from the building2u
+// contact form. Invalid input comes back as 422 { ok: false, errors } keyed by
+// form field name so the page can show each message next to its input.
+// Site photos arrive as base64 JPEGs (the page compresses them first) and are
+// stored one record each in lead-photos.
+const crypto = require('crypto');
+const { sendJson, readJson, allowMethods, sendError } = require('../_lib/http');
+const { saveRecord, deleteRecord } = require('../_lib/store');
+const { text, checkName, checkPhone } = require('../_lib/validate');
+
+const SERVICES = ['new-house', 'extension', 'renovation', 'design'];
+// Base64 sizes, mirrored in building2u/script.ts so the page can recompress or refuse a
+// photo before sending. All photos together leave room for the text fields in MAX_BODY.
+const MAX_PHOTOS = 6;
+const MAX_PHOTO_CHARS = 800 * 1024;
+const MAX_PHOTOS_CHARS = 3.5 * 1024 * 1024;
+// Stays under Vercel's 4.5 MB request body limit.
+const MAX_BODY = 4 * 1024 * 1024;
+
+function checkPhotos(value, errors) {
+    if (value === undefined) return [];
+    if (!Array.isArray(value) || value.length > MAX_PHOTOS) {
+        errors.photos = `แนบรูปได้ไม่เกิน ${MAX_PHOTOS} รูป`;
+        return [];
+    }
+
+    const photos = [];
+    let total = 0;
+    for (const [i, photo] of value.entries()) {
+        const data = photo && typeof photo.data === 'string' ? photo.data : '';
+        const bytes = data.length <= MAX_PHOTO_CHARS ? Buffer.from(data, 'base64') : null;
+        if (!bytes || bytes[0] !== 0xff || bytes[1] !== 0xd8) {
+            errors.photos = `รูปที่ ${i + 1} อ่านไม่ได้หรือใหญ่เกินไป กรุณาลบแล้วแนบใหม่`;
+            return [];
+        }
+        total += data.length;
+        photos.push(data);
+    }
+    if (total > MAX_PHOTOS_CHARS) {
+        errors.photos = 'รูปรวมกันใหญ่เกินไป กรุณาลดจำนวนรูป';
+        return [];
+    }
+    return photos;
+}
+
+function validateQuote(body) {
+    const errors = {};
+    const name = checkName(body.name, errors);
+    const phone = checkPhone(body.phone, errors);
+    const service = text(body.service);
+    const message = text(body.message);
+
+    if (!SERVICES.includes(service)) errors.service = 'กรุณาเลือกประเภทงาน';
+
+    if (message.length < 10) errors.message = 'กรุณาเล่ารายละเอียดอย่างน้อย 10 ตัวอักษร';
+    else if (message.length > 2000) errors.message = 'รายละเอียดยาวเกิน 2000 ตัวอักษร';
+
+    const photos = checkPhotos(body.photos, errors);
+
+    return { errors, photos, value: { name, phone, service, message } };
+}
+
+module.exports = async function handler(req, res) {
+    if (!allowMethods(req, res, ['POST'])) return;
+
+    try {
+        const body = await readJson(req, MAX_BODY);
+        const { errors, photos, value } = validateQuote(body && typeof body === 'object' ? body : {});
+        if (Object.keys(errors).length) {
+            sendJson(res, 422, { ok: false, errors });
+            return;
+        }
+
+        const id = crypto.randomUUID();
+        const photoIds = [];
+        try {
+            for (const [i, data] of photos.entries()) {
+                const photoId = `${id}-${i + 1}`;
+                await saveRecord('lead-photos', { id: photoId, leadId: id, type: 'image/jpeg', data });
+                photoIds.push(photoId);
+            }
+
+            await saveRecord('leads', {
+                id,
+                createdAt: new Date().toISOString(),
+                status: 'new',
+                ...value,
+                photos: photoIds,
+            });
+        } catch (err) {
+            // No lead points at these, so nothing would ever show or delete them.
+            await Promise.all(photoIds.map((photoId) => deleteRecord('lead-photos', photoId).catch(() => {})));
+            throw err;
+        }
+        sendJson(res, 201, { ok: true, id });
+    } catch (err) {
+        sendError(res, err);
+    }
+};
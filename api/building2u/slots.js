@@ -0,0 +1,16 @@
+// GET /api/building2u/slots — site-survey slots that are still free.
+const { sendJson, allowMethods, sendError } = require('../_lib/http');
+const { listRecords } = require('../_lib/store');
+const { listSlots } = require('../_lib/survey');
+
+module.exports = async function handler(req, res) {
+    if (!allowMethods(req, res, ['GET'])) return;
+
+    try {
+        const taken = new Set((await listRecords('survey-slots')).map((claim) => claim.id));
+        const slots = listSlots().filter((slot) => !taken.has(slot.id));
+        sendJson(res, 200, { ok: true, slots });
+    } catch (err) {
+        sendError(res, err);
+    }
+};
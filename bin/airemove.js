@@ -0,0 +1,205 @@
+#!/usr/bin/env node
+// Batch watermark removal without a browser. Uses the same pipeline.js and
+// OpenCV.js build as the web app, so a mask gives the same result in both.
+const fs = require('fs');
+const path = require('path');
+const { PNG } = require('pngjs');
+const jpeg = require('jpeg-js');
+const { imageDataToMask, readJpegInfo, prepareMask, maskBounds, inpaintTiled } = require('../airemove/pipeline.js');
+
+const USAGE = `Usage: airemove --mask mask.png [options] <images...>
+
+Options:
+  -m, --mask <file>       white-on-black (or alpha) mask PNG, stretched to each image
+  -o, --out <dir>         output directory (default: .)
+  -r, --radius <px>       Telea/NS radius in source pixels (default: 5)
+  -g, --grow <px>         grow (or, if negative, shrink) the mask first, in mask pixels (default: 0)
+      --feather           keep grey mask edges as feathered blends (a soft brush in the web app)
+      --method <name>     telea | ns | patch (default: telea)
+      --patch-size <px>   patch size for --method patch (default: 7)
+      --iterations <n>    iterations for --method patch (default: 4)
+  -f, --format <type>     png | jpeg (default: png)
+  -q, --quality <0-100>   JPEG quality (default: 92)
+  -h, --help              show this help`;
+
+const FLAGS = {
+    '-m': 'mask',
+    '--mask': 'mask',
+    '-o': 'out',
+    '--out': 'out',
+    '-r': 'radius',
+    '--radius': 'radius',
+    '-g': 'grow',
+    '--grow': 'grow',
+    '--method': 'method',
+    '--patch-size': 'patchSize',
+    '--iterations': 'iterations',
+    '-f': 'format',
+    '--format': 'format',
+    '-q': 'quality',
+    '--quality': 'quality'
+};
+
+function parseArgs(argv) {
+    const args = { out: '.', radius: '5', grow: '0', method: 'telea', patchSize: '7', iterations: '4', format: 'png', quality: '92', inputs: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-h' || arg === '--help') {
+            args.help = true;
+        } else if (arg === '--feather') {
+            args.feather = true;
+        } else if (FLAGS[arg]) {
+            if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+            args[FLAGS[arg]] = argv[++i];
+        } else if (arg.startsWith('-')) {
+            throw new Error(`Unknown option ${arg}`);
+        } else {
+            args.inputs.push(arg);
+        }
+    }
+    return args;
+}
+
+// The Emscripten module is itself a thenable, so it can't be handed to resolve();
+// wait for the runtime by polling and pass it back wrapped.
+function loadCv(timeoutMs = 60000) {
+    const cv = require('@techstark/opencv-js');
+    const start = Date.now();
+    return new Promise((resolve, reject) => {
+        const tick = () => {
+            if (cv.Mat) return resolve({ cv });
+            if (Date.now() - start > timeoutMs) return reject(new Error('OpenCV.js load timeout'));
+            setTimeout(tick, 50);
+        };
+        tick();
+    });
+}
+
+function isJpeg(bytes) {
+    return bytes[0] === 0xff && bytes[1] === 0xd8;
+}
+
+// Same orientation handling as the web app: pixels come out upright.
+function orientPixels(image, orientation) {
+    if (orientation < 2 || orientation > 8) return image;
+
+    const { width: w, height: h, data } = image;
+    const swap = orientation >= 5;
+    const ow = swap ? h : w;
+    const oh = swap ? w : h;
+    const out = new Uint8ClampedArray(data.length);
+
+    for (let y = 0; y < h; y++) {
+        for (let x = 0; x < w; x++) {
+            let tx = x;
+            let ty = y;
+            if (orientation === 2) tx = w - 1 - x;
+            if (orientation === 3) (tx = w - 1 - x), (ty = h - 1 - y);
+            if (orientation === 4) ty = h - 1 - y;
+            if (orientation === 5) (tx = y), (ty = x);
+            if (orientation === 6) (tx = h - 1 - y), (ty = x);
+            if (orientation === 7) (tx = h - 1 - y), (ty = w - 1 - x);
+            if (orientation === 8) (tx = y), (ty = w - 1 - x);
+            out.set(data.subarray((y * w + x) * 4, (y * w + x) * 4 + 4), (ty * ow + tx) * 4);
+        }
+    }
+    return { data: out, width: ow, height: oh };
+}
+
+function decode(file) {
+    const bytes = fs.readFileSync(file);
+    if (isJpeg(bytes)) {
+        const raw = jpeg.decode(bytes, { useTArray: true, formatAsRGBA: true, maxMemoryUsageInMB: 2048 });
+        const image = { data: new Uint8ClampedArray(raw.data.buffer), width: raw.width, height: raw.height };
+        return orientPixels(image, readJpegInfo(new Uint8Array(bytes)).orientation);
+    }
+
+    const png = PNG.sync.read(bytes);
+    return { data: new Uint8ClampedArray(png.data.buffer, png.data.byteOffset, png.data.length), width: png.width, height: png.height };
+}
+
+function encode(image, format, quality) {
+    const { data, width, height } = image;
+    if (format === 'jpeg') {
+        // Flatten onto white like the browser export does.
+        const flat = Buffer.alloc(data.length);
+        for (let i = 0; i < data.length; i += 4) {
+            const a = data[i + 3] / 255;
+            flat[i] = data[i] * a + 255 * (1 - a);
+            flat[i + 1] = data[i + 1] * a + 255 * (1 - a);
+            flat[i + 2] = data[i + 2] * a + 255 * (1 - a);
+            flat[i + 3] = 255;
+        }
+        return jpeg.encode({ data: flat, width, height }, quality).data;
+    }
+
+    const png = new PNG({ width, height });
+    png.data = Buffer.from(data.buffer, data.byteOffset, data.length);
+    return PNG.sync.write(png);
+}
+
+// Same naming as the web download; `photo.png` and `photo.jpg` don't overwrite each other.
+function outputName(file, format, taken) {
+    const base = path.basename(file, path.extname(file)) || 'airemove';
+    const ext = format === 'jpeg' ? 'jpg' : 'png';
+    let name = `${base}-airemove.${ext}`;
+    for (let i = 2; taken.has(name); i++) name = `${base}-airemove-${i}.${ext}`;
+    taken.add(name);
+    return name;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (!args.mask || args.inputs.length === 0) {
+        console.error(USAGE);
+        return 2;
+    }
+    if (!['telea', 'ns', 'patch'].includes(args.method)) throw new Error(`Unknown method ${args.method}`);
+    if (!['png', 'jpeg'].includes(args.format)) throw new Error(`Unknown format ${args.format}`);
+
+    const options = {
+        method: args.method,
+        radius: Number(args.radius),
+        patchSize: Number(args.patchSize),
+        iterations: Number(args.iterations)
+    };
+    const quality = Math.max(1, Math.min(100, Number(args.quality)));
+
+    const maskImage = decode(args.mask);
+    const soft = Boolean(args.feather);
+    const mask = { mask: imageDataToMask(maskImage.data, soft), width: maskImage.width, height: maskImage.height, grow: Number(args.grow), soft };
+    if (!maskBounds(mask.mask, mask.width, mask.height)) throw new Error(`${args.mask} has no masked pixels`);
+
+    const { cv } = await loadCv();
+    fs.mkdirSync(args.out, { recursive: true });
+
+    const taken = new Set();
+    let failed = 0;
+    for (const file of args.inputs) {
+        try {
+            const image = decode(file);
+            const fitted = prepareMask(cv, mask, image.width, image.height);
+            inpaintTiled(cv, image, fitted, options);
+
+            const target = path.join(args.out, outputName(file, args.format, taken));
+            fs.writeFileSync(target, encode(image, args.format, quality));
+            console.error(`${file} -> ${target}`);
+        } catch (err) {
+            failed++;
+            console.error(`${file}: ${err instanceof Error ? err.message : err}`);
+        }
+    }
+    return failed > 0 ? 1 : 0;
+}
+
+main().then(
+    (code) => process.exit(code),
+    (err) => {
+        console.error(`airemove: ${err instanceof Error ? err.message : err}`);
+        process.exit(2);
+    }
+);
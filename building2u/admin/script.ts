@@ -0,0 +1,267 @@
+(() => {
+    type LeadStatus = 'new' | 'surveyed' | 'quoted' | 'won' | 'lost';
+
+    type Lead = {
+        id: string;
+        createdAt: string;
+        status: LeadStatus;
+        name: string;
+        phone: string;
+        service: string;
+        message: string;
+        notes?: string;
+        photos?: string[];
+    };
+
+    type ApiResponse = {
+        ok: boolean;
+        error?: string;
+        errors?: Record<string, string>;
+        leads?: Lead[];
+        lead?: Lead;
+    };
+
+    const API = '/api/building2u/admin';
+
+    const STATUS_LABELS: Record<LeadStatus, string> = {
+        new: 'ใหม่',
+        surveyed: 'สำรวจแล้ว',
+        quoted: 'เสนอราคาแล้ว',
+        won: 'ได้งาน',
+        lost: 'ไม่ได้งาน'
+    };
+
+    const SERVICE_LABELS: Record<string, string> = {
+        'new-house': 'สร้างบ้านใหม่',
+        extension: 'ต่อเติม / ปรับปรุง',
+        renovation: 'รีโนเวท',
+        design: 'ออกแบบ / เขียนแบบ'
+    };
+
+    const dateFormat = new Intl.DateTimeFormat('th-TH', { dateStyle: 'medium', timeStyle: 'short', timeZone: 'Asia/Bangkok' });
+
+    function qs<T extends Element>(root: ParentNode, selector: string): T {
+        const el = root.querySelector(selector);
+        if (!el) throw new Error(`Missing element: ${selector}`);
+        return el as T;
+    }
+
+    function createEl<K extends keyof HTMLElementTagNameMap>(tag: K, className: string, text?: string): HTMLElementTagNameMap[K] {
+        const node = document.createElement(tag);
+        node.className = className;
+        if (text !== undefined) node.textContent = text;
+        return node;
+    }
+
+    async function api(path: string, init?: RequestInit): Promise<{ status: number; body: ApiResponse }> {
+        const res = await fetch(`${API}/${path}`, {
+            credentials: 'same-origin',
+            ...init,
+            headers: init?.body ? { 'Content-Type': 'application/json' } : undefined
+        });
+        const body = (await res.json().catch(() => ({ ok: false }))) as ApiResponse;
+        return { status: res.status, body };
+    }
+
+    // Same matching as the CSV export in api/building2u/admin/leads.js.
+    function matches(lead: Lead, status: string, service: string, query: string): boolean {
+        if (status && lead.status !== status) return false;
+        if (service && lead.service !== service) return false;
+        if (!query) return true;
+        const haystack = [lead.name, lead.phone, lead.message, lead.notes].join(' ').toLowerCase();
+        return haystack.includes(query.toLowerCase());
+    }
+
+    function boot() {
+        const loginRoot = qs<HTMLElement>(document, '[data-login]');
+        const loginForm = qs<HTMLFormElement>(loginRoot, 'form');
+        const loginStatus = qs<HTMLElement>(loginForm, '.form__status');
+        const leadsRoot = qs<HTMLElement>(document, '[data-leads]');
+        const logoutBtn = qs<HTMLButtonElement>(document, '[data-logout]');
+        const search = qs<HTMLInputElement>(leadsRoot, '[data-search]');
+        const statusFilter = qs<HTMLSelectElement>(leadsRoot, '[data-status-filter]');
+        const serviceFilter = qs<HTMLSelectElement>(leadsRoot, '[data-service-filter]');
+        const exportLink = qs<HTMLAnchorElement>(leadsRoot, '[data-export]');
+        const count = qs<HTMLElement>(leadsRoot, '[data-count]');
+        const list = qs<HTMLElement>(leadsRoot, '[data-list]');
+
+        let leads: Lead[] = [];
+
+        const showLogin = (message = '') => {
+            loginRoot.hidden = false;
+            leadsRoot.hidden = true;
+            logoutBtn.hidden = true;
+            loginStatus.textContent = message;
+            loginStatus.classList.toggle('form__status--error', Boolean(message));
+            qs<HTMLInputElement>(loginForm, 'input[name="password"]').focus();
+        };
+
+        const renderStatusFilter = () => {
+            const current = statusFilter.value;
+            statusFilter.innerHTML = '';
+            statusFilter.appendChild(new Option(`ทุกสถานะ (${leads.length})`, ''));
+            (Object.keys(STATUS_LABELS) as LeadStatus[]).forEach((status) => {
+                const n = leads.filter((lead) => lead.status === status).length;
+                statusFilter.appendChild(new Option(`${STATUS_LABELS[status]} (${n})`, status));
+            });
+            statusFilter.value = current;
+        };
+
+        const saveLead = async (lead: Lead, changes: Partial<Lead>, note: HTMLElement) => {
+            note.textContent = 'กำลังบันทึก…';
+            try {
+                const { status, body } = await api('leads', { method: 'PATCH', body: JSON.stringify({ id: lead.id, ...changes }) });
+                if (status === 401) {
+                    showLogin('หมดเวลาการเข้าสู่ระบบ กรุณาเข้าสู่ระบบอีกครั้ง');
+                    return;
+                }
+                if (!body.ok || !body.lead) {
+                    note.textContent = body.error || Object.values(body.errors || {})[0] || 'บันทึกไม่สำเร็จ';
+                    return;
+                }
+                Object.assign(lead, body.lead);
+                note.textContent = 'บันทึกแล้ว';
+                renderStatusFilter();
+            } catch {
+                note.textContent = 'เชื่อมต่อไม่ได้ บันทึกไม่สำเร็จ';
+            }
+        };
+
+        const renderLead = (lead: Lead): HTMLElement => {
+            const card = createEl('article', 'lead');
+            card.dataset.status = lead.status;
+
+            const head = createEl('div', 'lead__head');
+            const who = createEl('div', 'lead__who');
+            who.append(
+                createEl('div', 'lead__name', lead.name),
+                createEl('div', 'lead__meta', `${dateFormat.format(new Date(lead.createdAt))} • ${SERVICE_LABELS[lead.service] || lead.service}`)
+            );
+
+            const statusSelect = createEl('select', 'field__input lead__status');
+            statusSelect.setAttribute('aria-label', `สถานะของ ${lead.name}`);
+            (Object.keys(STATUS_LABELS) as LeadStatus[]).forEach((status) => {
+                statusSelect.appendChild(new Option(STATUS_LABELS[status], status, false, status === lead.status));
+            });
+            head.append(who, statusSelect);
+
+            const phone = createEl('a', 'lead__phone', lead.phone);
+            phone.href = `tel:${lead.phone}`;
+
+            const message = createEl('p', 'lead__message', lead.message);
+
+            const photos = createEl('div', 'lead__photos');
+            (lead.photos || []).forEach((id, i) => {
+                const link = createEl('a', 'lead__photo');
+                link.href = `${API}/photo?id=${encodeURIComponent(id)}`;
+                link.target = '_blank';
+                link.rel = 'noopener';
+                const img = createEl('img', 'lead__photoImg');
+                img.src = link.href;
+                img.alt = `รูปหน้างานที่ ${i + 1} ของ ${lead.name}`;
+                img.loading = 'lazy';
+                link.appendChild(img);
+                photos.appendChild(link);
+            });
+
+            const notesField = createEl('label', 'field');
+            const notes = createEl('textarea', 'field__input lead__notes');
+            notes.rows = 2;
+            notes.value = lead.notes || '';
+            notes.placeholder = 'เช่น นัดดูหน้างานวันไหน เสนอราคาไปเท่าไร';
+            notesField.append(createEl('span', 'field__label', 'บันทึก'), notes);
+
+            const saved = createEl('div', 'lead__saved');
+            saved.setAttribute('aria-live', 'polite');
+
+            statusSelect.addEventListener('change', () => {
+                card.dataset.status = statusSelect.value;
+                void saveLead(lead, { status: statusSelect.value as LeadStatus }, saved);
+            });
+            // change fires when the textarea loses focus with edited text.
+            notes.addEventListener('change', () => void saveLead(lead, { notes: notes.value }, saved));
+
+            card.append(head, phone, message);
+            if (lead.photos?.length) card.appendChild(photos);
+            card.append(notesField, saved);
+            return card;
+        };
+
+        const render = () => {
+            const query = search.value.trim();
+            const visible = leads.filter((lead) => matches(lead, statusFilter.value, serviceFilter.value, query));
+
+            const params = new URLSearchParams({ format: 'csv' });
+            if (statusFilter.value) params.set('status', statusFilter.value);
+            if (serviceFilter.value) params.set('service', serviceFilter.value);
+            if (query) params.set('q', query);
+            exportLink.href = `${API}/leads?${params}`;
+
+            count.textContent = visible.length === leads.length ? `ทั้งหมด ${leads.length} รายการ` : `แสดง ${visible.length} จาก ${leads.length} รายการ`;
+            list.innerHTML = '';
+            if (!visible.length) {
+                list.appendChild(createEl('p', 'section__desc', leads.length ? 'ไม่พบรายการที่ตรงกับตัวกรอง' : 'ยังไม่มีคำขอใบเสนอราคา'));
+                return;
+            }
+            visible.forEach((lead) => list.appendChild(renderLead(lead)));
+        };
+
+        const loadLeads = async () => {
+            const { status, body } = await api('leads');
+            if (status === 401) {
+                showLogin();
+                return;
+            }
+            if (!body.ok || !body.leads) {
+                showLogin(body.error || 'โหลดรายการไม่สำเร็จ');
+                return;
+            }
+
+            leads = body.leads;
+            loginRoot.hidden = true;
+            leadsRoot.hidden = false;
+            logoutBtn.hidden = false;
+            renderStatusFilter();
+            render();
+        };
+
+        loginForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const btn = qs<HTMLButtonElement>(loginForm, 'button[type="submit"]');
+            const password = String(new FormData(loginForm).get('password') || '');
+            btn.disabled = true;
+            try {
+                const { body } = await api('session', { method: 'POST', body: JSON.stringify({ password }) });
+                if (!body.ok) {
+                    showLogin(body.error || 'เข้าสู่ระบบไม่สำเร็จ');
+                    return;
+                }
+                loginForm.reset();
+                await loadLeads();
+            } catch {
+                showLogin('เชื่อมต่อไม่ได้ กรุณาลองใหม่');
+            } finally {
+                btn.disabled = false;
+            }
+        });
+
+        logoutBtn.addEventListener('click', async () => {
+            await api('session', { method: 'DELETE' }).catch(() => null);
+            leads = [];
+            list.innerHTML = '';
+            showLogin();
+        });
+
+        search.addEventListener('input', render);
+        statusFilter.addEventListener('change', render);
+        serviceFilter.addEventListener('change', render);
+
+        loadLeads().catch(() => showLogin('เชื่อมต่อไม่ได้ กรุณาลองใหม่'));
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', boot);
+    } else {
+        boot();
+    }
+})();
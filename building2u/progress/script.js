@@ -0,0 +1,145 @@
+(() => {
+const PROGRESS_URL = '/api/building2u/progress';
+// Same four steps as the "ขั้นตอนทำงาน" section on the home page.
+const STAGES = [
+    { id: 'survey', title: 'คุยความต้องการ & ประเมินหน้างาน' },
+    { id: 'quote', title: 'เสนอราคา & สรุปวัสดุ' },
+    { id: 'build', title: 'เริ่มงานก่อสร้าง' },
+    { id: 'handover', title: 'ตรวจรับ & ส่งมอบ' }
+];
+const dateFormat = new Intl.DateTimeFormat('th-TH', { day: 'numeric', month: 'short', year: 'numeric', timeZone: 'Asia/Bangkok' });
+const baht = new Intl.NumberFormat('th-TH', { maximumFractionDigits: 0 });
+function qs(root, selector) {
+    const el = root.querySelector(selector);
+    if (!el)
+        throw new Error(`Missing element: ${selector}`);
+    return el;
+}
+function createEl(tag, className, text) {
+    const node = document.createElement(tag);
+    node.className = className;
+    if (text !== undefined)
+        node.textContent = text;
+    return node;
+}
+// Data files hold plain YYYY-MM-DD dates in Thai local time.
+function formatDate(date) {
+    const parsed = new Date(`${date}T00:00:00+07:00`);
+    return Number.isNaN(parsed.getTime()) ? date : dateFormat.format(parsed);
+}
+function todayLocal() {
+    return new Date(Date.now() + 7 * 3600000).toISOString().slice(0, 10);
+}
+function renderStages(root, current) {
+    const currentIndex = STAGES.findIndex((stage) => stage.id === current);
+    root.innerHTML = '';
+    STAGES.forEach((stage, i) => {
+        const state = i < currentIndex ? 'done' : i === currentIndex ? 'current' : 'todo';
+        const item = createEl('li', `stage stage--${state}`);
+        if (state === 'current')
+            item.setAttribute('aria-current', 'step');
+        item.append(createEl('div', 'stage__no', String(i + 1).padStart(2, '0')), createEl('div', 'stage__title', stage.title));
+        root.appendChild(item);
+    });
+}
+function renderMilestones(root, milestones) {
+    root.innerHTML = '';
+    const sorted = [...milestones].sort((a, b) => a.date.localeCompare(b.date));
+    sorted.forEach((milestone) => {
+        const item = createEl('li', `milestone${milestone.done ? ' milestone--done' : ''}`);
+        item.append(createEl('div', 'milestone__date', formatDate(milestone.date)), createEl('div', 'milestone__title', milestone.title), createEl('div', 'milestone__state', milestone.done ? 'เสร็จแล้ว' : 'กำหนดการ'));
+        root.appendChild(item);
+    });
+    if (!sorted.length)
+        root.appendChild(createEl('li', 'section__desc', 'ยังไม่มีกำหนดการ'));
+}
+function renderPayments(body, summary, payments) {
+    const today = todayLocal();
+    const total = payments.reduce((sum, p) => sum + p.amount, 0);
+    const paid = payments.filter((p) => p.paid).reduce((sum, p) => sum + p.amount, 0);
+    summary.textContent = `ชำระแล้ว ${baht.format(paid)} จาก ${baht.format(total)} บาท`;
+    summary.style.setProperty('--paid', total ? `${(paid / total) * 100}%` : '0%');
+    body.innerHTML = '';
+    payments.forEach((payment) => {
+        const row = createEl('tr', 'payment');
+        const overdue = !payment.paid && payment.due < today;
+        const status = payment.paid ? `ชำระแล้ว ${formatDate(payment.paid)}` : overdue ? 'เลยกำหนด' : 'รอชำระ';
+        row.classList.toggle('payment--paid', Boolean(payment.paid));
+        row.classList.toggle('payment--overdue', overdue);
+        row.append(createEl('td', 'payment__label', payment.label), createEl('td', 'payment__due', formatDate(payment.due)), createEl('td', 'payments__amount', baht.format(payment.amount)), createEl('td', 'payment__status', status));
+        body.appendChild(row);
+    });
+}
+function renderUpdates(root, updates) {
+    root.innerHTML = '';
+    const sorted = [...updates].sort((a, b) => b.date.localeCompare(a.date));
+    sorted.forEach((update) => {
+        const item = createEl('article', 'update');
+        item.append(createEl('div', 'update__date', formatDate(update.date)), createEl('p', 'update__text', update.text));
+        if (update.photos?.length) {
+            const photos = createEl('div', 'update__photos');
+            update.photos.forEach((photo) => {
+                const link = createEl('a', 'update__photo');
+                link.href = photo.src;
+                link.target = '_blank';
+                link.rel = 'noopener';
+                const img = createEl('img', 'update__img');
+                img.src = photo.src;
+                img.alt = photo.alt;
+                img.loading = 'lazy';
+                link.appendChild(img);
+                photos.appendChild(link);
+            });
+            item.appendChild(photos);
+        }
+        root.appendChild(item);
+    });
+    if (!sorted.length)
+        root.appendChild(createEl('p', 'section__desc', 'ยังไม่มีอัปเดต'));
+}
+async function boot() {
+    const root = qs(document, '[data-progress]');
+    const message = qs(root, '[data-progress-message]');
+    const body = qs(root, '[data-progress-body]');
+    const token = new URLSearchParams(location.search).get('t') || '';
+    if (!token) {
+        message.textContent = 'ลิงก์ไม่ครบ กรุณาเปิดจากลิงก์ที่ได้รับจากทีมงาน';
+        return;
+    }
+    let project;
+    try {
+        const res = await fetch(`${PROGRESS_URL}?t=${encodeURIComponent(token)}`, { cache: 'no-store' });
+        const data = (await res.json().catch(() => ({ ok: false })));
+        if (!res.ok || !data.project) {
+            message.textContent = data.error || 'โหลดข้อมูลโครงการไม่สำเร็จ';
+            return;
+        }
+        project = data.project;
+    }
+    catch {
+        message.textContent = 'เชื่อมต่อไม่ได้ กรุณาลองใหม่อีกครั้ง';
+        return;
+    }
+    document.title = `${project.title} | ทรัพย์เจริญ`;
+    qs(root, '[data-progress-title]').textContent = project.title;
+    qs(root, '[data-progress-meta]').textContent = [
+        project.client,
+        project.location,
+        project.updatedAt ? `อัปเดตล่าสุด ${formatDate(project.updatedAt)}` : ''
+    ]
+        .filter(Boolean)
+        .join(' • ');
+    renderStages(qs(root, '[data-progress-stages]'), project.stage);
+    renderMilestones(qs(root, '[data-progress-milestones]'), project.milestones || []);
+    renderPayments(qs(root, '[data-progress-payments]'), qs(root, '[data-progress-paid]'), project.payments || []);
+    renderUpdates(qs(root, '[data-progress-updates]'), project.updates || []);
+    message.hidden = true;
+    body.hidden = false;
+}
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => void boot());
+}
+else {
+    void boot();
+}
+})();
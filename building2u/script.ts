@@ -14,7 +14,27 @@
         isDragging: boolean;
         startX: number;
         deltaX: number;
+        lastX: number;
+        lastTime: number;
+        velocity: number;
+        held: boolean;
         autoTimer: number | null;
+        interval: number;
+    };
+
+    type ProjectPhoto = {
+        src: string;
+        alt: string;
+        caption?: string;
+    };
+
+    type Project = {
+        id: string;
+        title: string;
+        category: string;
+        location: string;
+        area: number;
+        photos: ProjectPhoto[];
     };
 
     function qs<T extends Element>(root: ParentNode, selector: string): T {
@@ -64,6 +84,8 @@
         });
     }
 
+    const reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+
     function buildSliderElements(root: HTMLElement): SliderElements {
         const viewport = qs<HTMLElement>(root, '[data-slider-viewport]');
         const track = qs<HTMLElement>(root, '[data-slider-track]');
@@ -75,6 +97,28 @@
         return { root, viewport, track, slides, prevBtn, nextBtn, dotsRoot };
     }
 
+    function loops(el: SliderElements): boolean {
+        return el.slides.length > 1;
+    }
+
+    // A copy of the last slide goes in front and one of the first at the end,
+    // so wrapping animates one step and then jumps to the real slide unseen.
+    function addLoopClones(el: SliderElements) {
+        el.slides.forEach((slide, i) => {
+            slide.dataset.slideIndex = String(i);
+        });
+        if (!loops(el)) return;
+
+        const head = el.slides[el.slides.length - 1].cloneNode(true) as HTMLElement;
+        const tail = el.slides[0].cloneNode(true) as HTMLElement;
+        for (const clone of [head, tail]) {
+            clone.removeAttribute('data-slide');
+            clone.setAttribute('aria-hidden', 'true');
+        }
+        el.track.prepend(head);
+        el.track.append(tail);
+    }
+
     function renderDots(el: SliderElements, state: SliderState) {
         el.dotsRoot.innerHTML = '';
 
@@ -91,12 +135,40 @@
         });
     }
 
-    function applyTransform(el: SliderElements, state: SliderState) {
-        const offsetPercent = state.index * 100;
-        el.track.style.transform = `translateX(-${offsetPercent}%)`;
+    function applyTransform(el: SliderElements, state: SliderState, dragPx = 0) {
+        const offsetPercent = (state.index + (loops(el) ? 1 : 0)) * 100;
+        el.track.style.transform = dragPx
+            ? `translateX(calc(-${offsetPercent}% + ${dragPx}px))`
+            : `translateX(-${offsetPercent}%)`;
 
+        const current = clampIndex(state.index, el.slides.length);
         const dots = Array.from(el.dotsRoot.querySelectorAll<HTMLButtonElement>('.dot'));
-        dots.forEach((d, i) => d.setAttribute('aria-current', i === state.index ? 'true' : 'false'));
+        dots.forEach((d, i) => d.setAttribute('aria-current', i === current ? 'true' : 'false'));
+    }
+
+    // Slides after the first carry data-src until they are next to the
+    // current one; clones share data-slide-index with their originals.
+    function preloadAround(el: SliderElements, state: SliderState) {
+        const count = el.slides.length;
+        for (const step of [-1, 0, 1]) {
+            const i = clampIndex(state.index + step, count);
+            qsa<HTMLImageElement>(el.track, `[data-slide-index="${i}"] img[data-src]`).forEach((img) => {
+                img.src = img.dataset.src || '';
+                img.removeAttribute('data-src');
+            });
+        }
+    }
+
+    // Moves off a clone onto the matching real slide without animating.
+    function settle(el: SliderElements, state: SliderState) {
+        el.track.style.transitionDuration = '';
+        if (state.index >= 0 && state.index < el.slides.length) return;
+
+        state.index = clampIndex(state.index, el.slides.length);
+        el.track.style.transition = 'none';
+        applyTransform(el, state);
+        void el.track.offsetWidth;
+        el.track.style.transition = '';
     }
 
     function stopAuto(state: SliderState) {
@@ -108,74 +180,138 @@
 
     function startAuto(el: SliderElements, state: SliderState) {
         stopAuto(state);
+        if (state.interval <= 0 || !loops(el) || reducedMotion.matches || document.hidden) return;
 
         state.autoTimer = window.setInterval(() => {
             goTo(el, state, state.index + 1, false);
-        }, 6500);
+        }, state.interval);
     }
 
-    function goTo(el: SliderElements, state: SliderState, index: number, userInitiated: boolean) {
-        state.index = clampIndex(index, el.slides.length);
+    function goTo(el: SliderElements, state: SliderState, index: number, userInitiated: boolean, duration?: number) {
+        settle(el, state);
+
+        const count = el.slides.length;
+        state.index = loops(el) ? Math.min(Math.max(index, -1), count) : clampIndex(index, count);
+        if (duration) el.track.style.transitionDuration = `${duration}ms`;
         applyTransform(el, state);
+        preloadAround(el, state);
+
+        // Without a transition there is no transitionend to wait for.
+        if (reducedMotion.matches) settle(el, state);
 
-        if (userInitiated) {
+        if (userInitiated && !state.held) {
             startAuto(el, state);
         }
     }
 
-    function initSlider(root: HTMLElement) {
+    // data-slider-interval sets the autoplay delay in ms; 0 turns autoplay off.
+    // onSelect fires for a click/tap (not a swipe) or Enter on the current slide.
+    function initSlider(root: HTMLElement, onSelect?: (index: number) => void) {
         const el = buildSliderElements(root);
+        const interval = Number(root.dataset.sliderInterval ?? 6500);
         const state: SliderState = {
             index: 0,
             isDragging: false,
             startX: 0,
             deltaX: 0,
-            autoTimer: null
+            lastX: 0,
+            lastTime: 0,
+            velocity: 0,
+            held: false,
+            autoTimer: null,
+            interval: Number.isFinite(interval) ? interval : 6500
         };
 
+        root.classList.toggle('is-single', el.slides.length < 2);
+        addLoopClones(el);
         renderDots(el, state);
         applyTransform(el, state);
+        preloadAround(el, state);
 
         el.prevBtn.addEventListener('click', () => goTo(el, state, state.index - 1, true));
         el.nextBtn.addEventListener('click', () => goTo(el, state, state.index + 1, true));
 
+        el.track.addEventListener('transitionend', (e) => {
+            if (e.target === el.track) settle(el, state);
+        });
+
         const onKeyDown = (e: KeyboardEvent) => {
             if (e.key === 'ArrowLeft') goTo(el, state, state.index - 1, true);
             if (e.key === 'ArrowRight') goTo(el, state, state.index + 1, true);
+            if (e.key === 'Enter' && onSelect && e.target === el.root) onSelect(clampIndex(state.index, el.slides.length));
         };
 
-        el.root.addEventListener('mouseenter', () => stopAuto(state));
-        el.root.addEventListener('mouseleave', () => startAuto(el, state));
-        el.root.addEventListener('focusin', () => stopAuto(state));
-        el.root.addEventListener('focusout', () => startAuto(el, state));
+        const hold = (held: boolean) => {
+            state.held = held;
+            if (held) stopAuto(state);
+            else startAuto(el, state);
+        };
+
+        el.root.addEventListener('mouseenter', () => hold(true));
+        el.root.addEventListener('mouseleave', () => hold(false));
+        el.root.addEventListener('focusin', () => hold(true));
+        el.root.addEventListener('focusout', () => hold(false));
+
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) stopAuto(state);
+            else if (!state.held) startAuto(el, state);
+        });
+        reducedMotion.addEventListener('change', () => {
+            if (!state.held) startAuto(el, state);
+        });
 
         el.root.addEventListener('keydown', onKeyDown);
         el.root.setAttribute('tabindex', '0');
 
         const pointerDown = (e: PointerEvent) => {
+            if (e.button !== 0) return;
+            settle(el, state);
             state.isDragging = true;
             state.startX = e.clientX;
+            state.lastX = e.clientX;
+            state.lastTime = e.timeStamp;
             state.deltaX = 0;
+            state.velocity = 0;
             stopAuto(state);
+            el.track.style.transition = 'none';
             el.viewport.setPointerCapture(e.pointerId);
         };
 
         const pointerMove = (e: PointerEvent) => {
             if (!state.isDragging) return;
             state.deltaX = e.clientX - state.startX;
+
+            const dt = e.timeStamp - state.lastTime;
+            if (dt > 0) {
+                // Smoothed px/ms so one jittery sample doesn't decide a fling.
+                state.velocity = 0.7 * ((e.clientX - state.lastX) / dt) + 0.3 * state.velocity;
+                state.lastX = e.clientX;
+                state.lastTime = e.timeStamp;
+            }
+
+            if (loops(el)) applyTransform(el, state, state.deltaX);
         };
 
-        const pointerUp = () => {
+        const pointerUp = (e: PointerEvent) => {
             if (!state.isDragging) return;
             state.isDragging = false;
+            el.track.style.transition = '';
+
+            // A finger that stopped before lifting has no momentum left.
+            if (e.timeStamp - state.lastTime > 100) state.velocity = 0;
 
-            const threshold = 50;
-            if (state.deltaX > threshold) {
-                goTo(el, state, state.index - 1, true);
-            } else if (state.deltaX < -threshold) {
-                goTo(el, state, state.index + 1, true);
+            const width = el.viewport.clientWidth || 1;
+            const distance = Math.abs(state.deltaX);
+            const fling = Math.abs(state.velocity) > 0.35 && distance > 10;
+            const direction = fling ? -Math.sign(state.velocity) : distance > width * 0.2 ? -Math.sign(state.deltaX) : 0;
+
+            if (direction !== 0 && loops(el)) {
+                const remaining = width - distance * Math.sign(state.deltaX) * -direction;
+                const duration = fling ? Math.min(Math.max(remaining / Math.abs(state.velocity), 160), 420) : undefined;
+                goTo(el, state, state.index + direction, true, duration);
             } else {
-                startAuto(el, state);
+                if (onSelect && distance < 6) onSelect(clampIndex(state.index, el.slides.length));
+                goTo(el, state, state.index, true, 260);
             }
 
             state.deltaX = 0;
@@ -184,39 +320,839 @@
         el.viewport.addEventListener('pointerdown', pointerDown);
         el.viewport.addEventListener('pointermove', pointerMove);
         el.viewport.addEventListener('pointerup', pointerUp);
-        el.viewport.addEventListener('pointercancel', pointerUp);
+        el.viewport.addEventListener('pointercancel', () => {
+            if (!state.isDragging) return;
+            state.isDragging = false;
+            state.deltaX = 0;
+            el.track.style.transition = '';
+            goTo(el, state, state.index, true);
+        });
 
         startAuto(el, state);
     }
 
-    function initDemoForm() {
+    const PROJECTS_URL = '/building2u/projects.json';
+
+    function createEl<K extends keyof HTMLElementTagNameMap>(tag: K, className: string, text?: string): HTMLElementTagNameMap[K] {
+        const node = document.createElement(tag);
+        node.className = className;
+        if (text !== undefined) node.textContent = text;
+        return node;
+    }
+
+    function initLightbox(dialog: HTMLDialogElement) {
+        const stage = qs<HTMLElement>(dialog, '[data-lightbox-stage]');
+        const img = qs<HTMLImageElement>(dialog, '[data-lightbox-img]');
+        const title = qs<HTMLElement>(dialog, '[data-lightbox-title]');
+        const sub = qs<HTMLElement>(dialog, '[data-lightbox-sub]');
+        const count = qs<HTMLElement>(dialog, '[data-lightbox-count]');
+        const prevBtn = qs<HTMLButtonElement>(dialog, '[data-lightbox-prev]');
+        const nextBtn = qs<HTMLButtonElement>(dialog, '[data-lightbox-next]');
+
+        let project: Project | null = null;
+        let index = 0;
+        let startX: number | null = null;
+        let press = { x: 0, y: 0, moved: false };
+
+        const show = (next: number) => {
+            if (!project) return;
+            index = clampIndex(next, project.photos.length);
+            const photo = project.photos[index];
+            img.src = photo.src;
+            img.alt = photo.alt;
+            title.textContent = project.title;
+            sub.textContent = photo.caption || `${project.location} • ${project.area} ตร.ม.`;
+            count.textContent = `${index + 1} / ${project.photos.length}`;
+
+            const single = project.photos.length < 2;
+            prevBtn.hidden = single;
+            nextBtn.hidden = single;
+
+            // Warm the cache so arrowing through the album doesn't flash.
+            if (!single) new Image().src = project.photos[clampIndex(index + 1, project.photos.length)].src;
+        };
+
+        prevBtn.addEventListener('click', () => show(index - 1));
+        nextBtn.addEventListener('click', () => show(index + 1));
+        qs<HTMLButtonElement>(dialog, '[data-lightbox-close]').addEventListener('click', () => dialog.close());
+
+        dialog.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowLeft') show(index - 1);
+            if (e.key === 'ArrowRight') show(index + 1);
+        });
+
+        // Clicking the dimmed area around the photo closes, like Esc. A swipe that starts
+        // or ends there fires a click on it too, so only a press that stayed put counts.
+        dialog.addEventListener('pointerdown', (e) => {
+            press = { x: e.clientX, y: e.clientY, moved: false };
+        });
+        dialog.addEventListener('pointerup', (e) => {
+            press.moved = Math.hypot(e.clientX - press.x, e.clientY - press.y) >= 6;
+        });
+        dialog.addEventListener('click', (e) => {
+            if (press.moved) return;
+            if (e.target === dialog || e.target === stage) dialog.close();
+        });
+
+        stage.addEventListener('pointerdown', (e) => {
+            startX = e.clientX;
+        });
+        stage.addEventListener('pointerup', (e) => {
+            if (startX === null) return;
+            const delta = e.clientX - startX;
+            startX = null;
+            if (delta > 50) show(index - 1);
+            else if (delta < -50) show(index + 1);
+        });
+        stage.addEventListener('pointercancel', () => {
+            startX = null;
+        });
+
+        dialog.addEventListener('close', () => {
+            document.body.classList.remove('is-locked');
+            project = null;
+            img.removeAttribute('src');
+        });
+
+        return (next: Project, at: number) => {
+            project = next;
+            show(at);
+            document.body.classList.add('is-locked');
+            if (!dialog.open) dialog.showModal();
+        };
+    }
+
+    function renderAlbum(project: Project): HTMLElement {
+        const album = createEl('article', 'album');
+        album.dataset.category = project.category;
+
+        const slider = createEl('div', 'slider slider--album');
+        slider.setAttribute('data-slider', '');
+        slider.dataset.sliderInterval = '0';
+        slider.setAttribute('aria-label', `รูปผลงาน ${project.title}`);
+
+        const viewport = createEl('div', 'slider__viewport');
+        viewport.setAttribute('data-slider-viewport', '');
+        const track = createEl('div', 'slider__track');
+        track.setAttribute('data-slider-track', '');
+
+        project.photos.forEach((photo, i) => {
+            const slide = createEl('figure', 'slide');
+            slide.setAttribute('data-slide', '');
+            const img = createEl('img', 'slide__img');
+            if (i === 0) img.src = photo.src;
+            else img.dataset.src = photo.src;
+            img.alt = photo.alt;
+            img.loading = 'lazy';
+            img.draggable = false;
+            slide.appendChild(img);
+            track.appendChild(slide);
+        });
+        viewport.appendChild(track);
+
+        const controls = createEl('div', 'slider__controls');
+        const prev = createEl('button', 'icon-btn', '‹');
+        prev.type = 'button';
+        prev.setAttribute('data-slider-prev', '');
+        prev.setAttribute('aria-label', 'รูปก่อนหน้า');
+        const dots = createEl('div', 'dots');
+        dots.setAttribute('data-slider-dots', '');
+        const next = createEl('button', 'icon-btn', '›');
+        next.type = 'button';
+        next.setAttribute('data-slider-next', '');
+        next.setAttribute('aria-label', 'รูปถัดไป');
+        controls.append(prev, dots, next);
+
+        slider.append(viewport, controls);
+
+        const body = createEl('div', 'album__body');
+        body.append(
+            createEl('div', 'album__category', project.category),
+            createEl('h3', 'album__title', project.title),
+            createEl('div', 'album__meta', `${project.location} • ${project.area} ตร.ม. • ${project.photos.length} รูป`)
+        );
+
+        album.append(slider, body);
+        return album;
+    }
+
+    function renderFilters(root: HTMLElement, categories: string[], onChange: (category: string | null) => void) {
+        root.innerHTML = '';
+        const buttons: HTMLButtonElement[] = [];
+
+        [null, ...categories].forEach((category) => {
+            const btn = createEl('button', 'chip', category ?? 'ทั้งหมด');
+            btn.type = 'button';
+            btn.setAttribute('aria-pressed', category === null ? 'true' : 'false');
+            btn.addEventListener('click', () => {
+                buttons.forEach((b) => b.setAttribute('aria-pressed', b === btn ? 'true' : 'false'));
+                onChange(category);
+            });
+            buttons.push(btn);
+            root.appendChild(btn);
+        });
+    }
+
+    async function initGallery(root: HTMLElement) {
+        const filtersRoot = document.querySelector<HTMLElement>('[data-gallery-filters]');
+        const dialog = document.querySelector<HTMLDialogElement>('[data-lightbox]');
+        const openLightbox = dialog ? initLightbox(dialog) : null;
+
+        let projects: Project[];
+        try {
+            const res = await fetch(PROJECTS_URL);
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            projects = ((await res.json()) as { projects: Project[] }).projects.filter((p) => p.photos.length > 0);
+        } catch {
+            root.appendChild(createEl('p', 'section__desc', 'โหลดผลงานไม่สำเร็จ กรุณาลองใหม่อีกครั้ง'));
+            return;
+        }
+
+        const albums = projects.map((project) => {
+            const album = renderAlbum(project);
+            root.appendChild(album);
+            initSlider(qs<HTMLElement>(album, '[data-slider]'), openLightbox ? (i) => openLightbox(project, i) : undefined);
+            return album;
+        });
+
+        if (filtersRoot) {
+            const categories = Array.from(new Set(projects.map((p) => p.category)));
+            renderFilters(filtersRoot, categories, (category) => {
+                albums.forEach((album) => {
+                    album.hidden = category !== null && album.dataset.category !== category;
+                });
+            });
+        }
+    }
+
+    const QUOTE_URL = '/api/building2u/quote';
+
+    type QuoteResponse = {
+        ok: boolean;
+        id?: string;
+        error?: string;
+        errors?: Record<string, string>;
+    };
+
+    let errorIds = 0;
+
+    function setFieldError(form: HTMLFormElement, name: string, message: string | null) {
+        const input = form.elements.namedItem(name);
+        if (!(input instanceof HTMLElement)) return;
+        const field = input.closest<HTMLElement>('.field');
+        if (!field) return;
+
+        let error = field.querySelector<HTMLElement>('.field__error');
+        if (message && !error) {
+            error = document.createElement('span');
+            error.className = 'field__error';
+            error.id = `field-error-${++errorIds}`;
+            field.appendChild(error);
+        }
+        if (error) {
+            error.textContent = message || '';
+            error.hidden = !message;
+        }
+
+        field.classList.toggle('is-invalid', Boolean(message));
+        if (message) {
+            input.setAttribute('aria-invalid', 'true');
+            input.setAttribute('aria-describedby', error!.id);
+        } else {
+            input.removeAttribute('aria-invalid');
+            input.removeAttribute('aria-describedby');
+        }
+    }
+
+    function showFieldErrors(form: HTMLFormElement, errors: Record<string, string>) {
+        const names = Object.keys(errors);
+        names.forEach((name) => setFieldError(form, name, errors[name]));
+        const first = form.elements.namedItem(names[0]);
+        if (first instanceof HTMLElement) first.focus();
+    }
+
+    function setFormStatus(status: HTMLElement, message: string, tone: 'ok' | 'error' | null) {
+        status.textContent = message;
+        status.classList.toggle('form__status--ok', tone === 'ok');
+        status.classList.toggle('form__status--error', tone === 'error');
+    }
+
+    const DRAFT_KEY = 'building2u:quote-draft';
+    const DRAFT_FIELDS = ['name', 'phone', 'service', 'message'];
+    // Base64 sizes, mirroring api/building2u/quote.js.
+    const MAX_PHOTOS = 6;
+    const MAX_PHOTO_CHARS = 800 * 1024;
+    const MAX_PHOTOS_CHARS = 3.5 * 1024 * 1024;
+    // Tried in order until a photo fits its share of the budget.
+    const PHOTO_ENCODINGS = [
+        { edge: 1600, quality: 0.78 },
+        { edge: 1600, quality: 0.62 },
+        { edge: 1280, quality: 0.6 },
+        { edge: 1024, quality: 0.55 }
+    ];
+    const PHOTO_TOO_LARGE = 'photo too large';
+
+    type QuotePhoto = {
+        blob: Blob;
+        url: string;
+    };
+
+    // Mirrors normalizePhone in api/_lib/validate.js.
+    function normalizeThaiPhone(value: string): string | null {
+        const local = value.replace(/[\s\-().]/g, '').replace(/^\+?66/, '0');
+        return /^0[689]\d{8}$/.test(local) || /^0[2-7]\d{7}$/.test(local) ? local : null;
+    }
+
+    // 081-234-5678, 02-123-4567, 053-123-456
+    function formatThaiPhone(digits: string): string {
+        if (digits.length === 10) return `${digits.slice(0, 3)}-${digits.slice(3, 6)}-${digits.slice(6)}`;
+        if (digits.startsWith('02')) return `${digits.slice(0, 2)}-${digits.slice(2, 5)}-${digits.slice(5)}`;
+        return `${digits.slice(0, 3)}-${digits.slice(3, 6)}-${digits.slice(6)}`;
+    }
+
+    function phoneError(value: string): string | null {
+        const trimmed = value.trim();
+        if (!trimmed) return 'กรุณากรอกเบอร์โทร';
+        if (normalizeThaiPhone(trimmed)) return null;
+
+        const digits = trimmed.replace(/\D/g, '').replace(/^66/, '0');
+        if (/^0[689]/.test(digits)) return 'เบอร์มือถือต้องมี 10 หลัก เช่น 081-234-5678';
+        if (/^0[2-7]/.test(digits)) return 'เบอร์บ้านต้องมี 9 หลัก เช่น 02-123-4567';
+        return 'เบอร์โทรต้องขึ้นต้นด้วย 0 เช่น 081-234-5678 หรือ 02-123-4567';
+    }
+
+    function quoteFieldError(name: string, value: string): string | null {
+        const trimmed = value.trim();
+        switch (name) {
+            case 'name':
+                if (!trimmed) return 'กรุณากรอกชื่อ';
+                return trimmed.length > 100 ? 'ชื่อยาวเกิน 100 ตัวอักษร' : null;
+            case 'phone':
+                return phoneError(value);
+            case 'service':
+                return trimmed ? null : 'กรุณาเลือกประเภทงาน';
+            case 'message':
+                if (trimmed.length < 10) return 'กรุณาเล่ารายละเอียดอย่างน้อย 10 ตัวอักษร';
+                return trimmed.length > 2000 ? 'รายละเอียดยาวเกิน 2000 ตัวอักษร' : null;
+            default:
+                return null;
+        }
+    }
+
+    function readDraft(): Record<string, string> | null {
+        try {
+            const raw = localStorage.getItem(DRAFT_KEY);
+            return raw ? (JSON.parse(raw) as Record<string, string>) : null;
+        } catch {
+            return null;
+        }
+    }
+
+    // Photos stay out of the draft; they'd blow through the localStorage quota.
+    function writeDraft(form: HTMLFormElement) {
+        const data = new FormData(form);
+        const draft: Record<string, string> = {};
+        for (const name of DRAFT_FIELDS) draft[name] = String(data.get(name) || '');
+
+        try {
+            if (DRAFT_FIELDS.some((name) => draft[name].trim())) localStorage.setItem(DRAFT_KEY, JSON.stringify(draft));
+            else localStorage.removeItem(DRAFT_KEY);
+        } catch {
+            // Private mode or a full quota; the form still works without drafts.
+        }
+    }
+
+    function clearDraft() {
+        try {
+            localStorage.removeItem(DRAFT_KEY);
+        } catch {
+            // See writeDraft.
+        }
+    }
+
+    function base64Length(blob: Blob): number {
+        return Math.ceil(blob.size / 3) * 4;
+    }
+
+    // Re-encodes smaller and softer until the JPEG fits in `maxChars` once base64-encoded.
+    async function compressPhoto(file: File, maxChars: number): Promise<Blob> {
+        const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+        try {
+            for (const { edge, quality } of PHOTO_ENCODINGS) {
+                const scale = Math.min(1, edge / Math.max(bitmap.width, bitmap.height));
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.round(bitmap.width * scale);
+                canvas.height = Math.round(bitmap.height * scale);
+
+                const ctx = canvas.getContext('2d');
+                if (!ctx) throw new Error('Canvas 2D not available');
+                ctx.fillStyle = '#ffffff';
+                ctx.fillRect(0, 0, canvas.width, canvas.height);
+                ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+
+                const blob = await new Promise<Blob>((resolve, reject) => {
+                    canvas.toBlob((b) => (b ? resolve(b) : reject(new Error('Encode failed'))), 'image/jpeg', quality);
+                });
+                if (base64Length(blob) <= maxChars) return blob;
+            }
+            throw new Error(PHOTO_TOO_LARGE);
+        } finally {
+            bitmap.close();
+        }
+    }
+
+    function blobToBase64(blob: Blob): Promise<string> {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(String(reader.result).replace(/^data:[^,]*,/, ''));
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    function initQuoteForm() {
         const form = document.querySelector<HTMLFormElement>('form.form');
         if (!form) return;
 
-        form.addEventListener('submit', (e) => {
+        const btn = qs<HTMLButtonElement>(form, 'button[type="submit"]');
+        const status = qs<HTMLElement>(form, '.form__status');
+        const photoInput = qs<HTMLInputElement>(form, 'input[name="photos"]');
+        const photoList = qs<HTMLElement>(form, '[data-photos]');
+        const phoneInput = qs<HTMLInputElement>(form, 'input[name="phone"]');
+        const label = btn.textContent || 'ส่งข้อมูล';
+
+        let photos: QuotePhoto[] = [];
+        let draftTimer: number | null = null;
+
+        const draft = readDraft();
+        if (draft) {
+            for (const name of DRAFT_FIELDS) {
+                const input = form.elements.namedItem(name) as HTMLInputElement | null;
+                if (input && draft[name]) input.value = draft[name];
+            }
+        }
+
+        const validateField = (name: string): boolean => {
+            const input = form.elements.namedItem(name) as HTMLInputElement | null;
+            const message = quoteFieldError(name, input?.value || '');
+            setFieldError(form, name, message);
+            return !message;
+        };
+
+        const renderPhotos = () => {
+            photoList.innerHTML = '';
+            photos.forEach((photo, i) => {
+                const item = createEl('li', 'photo');
+                const img = createEl('img', 'photo__img');
+                img.src = photo.url;
+                img.alt = `รูปหน้างานที่ ${i + 1}`;
+                const remove = createEl('button', 'photo__remove', '×');
+                remove.type = 'button';
+                remove.setAttribute('aria-label', `ลบรูปที่ ${i + 1}`);
+                remove.addEventListener('click', () => {
+                    URL.revokeObjectURL(photo.url);
+                    photos = photos.filter((p) => p !== photo);
+                    setFieldError(form, 'photos', null);
+                    renderPhotos();
+                });
+                item.append(img, remove);
+                photoList.appendChild(item);
+            });
+            photoInput.disabled = photos.length >= MAX_PHOTOS;
+        };
+
+        const clearPhotos = () => {
+            photos.forEach((photo) => URL.revokeObjectURL(photo.url));
+            photos = [];
+            renderPhotos();
+        };
+
+        // Selections are handled one after another, so a second pick made while
+        // the first is still compressing sees its photos in the limits.
+        let photoQueue = Promise.resolve();
+        const addPhotos = async (files: File[]) => {
+            const room = MAX_PHOTOS - photos.length;
+            if (files.length > room) setFieldError(form, 'photos', `แนบรูปได้ไม่เกิน ${MAX_PHOTOS} รูป`);
+
+            for (const file of files.slice(0, room)) {
+                const used = photos.reduce((sum, photo) => sum + base64Length(photo.blob), 0);
+                try {
+                    const blob = await compressPhoto(file, Math.min(MAX_PHOTO_CHARS, MAX_PHOTOS_CHARS - used));
+                    photos.push({ blob, url: URL.createObjectURL(blob) });
+                    renderPhotos();
+                } catch (err) {
+                    const tooLarge = err instanceof Error && err.message === PHOTO_TOO_LARGE;
+                    setFieldError(
+                        form,
+                        'photos',
+                        tooLarge
+                            ? `รูป ${file.name} ละเอียดเกินกว่าที่ส่งได้${photos.length ? ' เมื่อรวมกับรูปที่แนบไว้ ลองลบบางรูปก่อน' : ''}`
+                            : `เปิดไฟล์ ${file.name} ไม่ได้ กรุณาใช้ไฟล์ JPG หรือ PNG`
+                    );
+                }
+            }
+        };
+
+        photoInput.addEventListener('change', () => {
+            const files = Array.from(photoInput.files || []);
+            photoInput.value = '';
+            setFieldError(form, 'photos', null);
+            photoQueue = photoQueue.then(() => addPhotos(files));
+        });
+
+        form.addEventListener('input', (e) => {
+            const target = e.target as HTMLInputElement | null;
+            if (!target?.name || target.type === 'file') return;
+            setFieldError(form, target.name, null);
+
+            if (draftTimer !== null) window.clearTimeout(draftTimer);
+            draftTimer = window.setTimeout(() => writeDraft(form), 400);
+        });
+
+        // Check a field once the visitor leaves it, but not while they type.
+        form.addEventListener('focusout', (e) => {
+            const target = e.target as HTMLInputElement | null;
+            if (!target?.name || !DRAFT_FIELDS.includes(target.name) || !target.value) return;
+            validateField(target.name);
+        });
+
+        phoneInput.addEventListener('blur', () => {
+            const phone = normalizeThaiPhone(phoneInput.value);
+            if (phone) phoneInput.value = formatThaiPhone(phone);
+        });
+
+        form.addEventListener('submit', async (e) => {
             e.preventDefault();
+            setFormStatus(status, '', null);
+
+            const invalid = DRAFT_FIELDS.filter((name) => !validateField(name));
+            if (invalid.length) {
+                (form.elements.namedItem(invalid[0]) as HTMLElement).focus();
+                setFormStatus(status, 'กรุณาตรวจสอบข้อมูลที่ไฮไลต์', 'error');
+                return;
+            }
+
+            btn.disabled = true;
+            btn.textContent = 'กำลังส่ง…';
+
+            try {
+                const data = new FormData(form);
+                const payload: Record<string, unknown> = {};
+                for (const name of DRAFT_FIELDS) payload[name] = String(data.get(name) || '');
+                payload.photos = await Promise.all(
+                    photos.map(async (photo) => ({ type: 'image/jpeg', data: await blobToBase64(photo.blob) }))
+                );
+
+                const res = await fetch(QUOTE_URL, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(payload),
+                });
+                const body = (await res.json().catch(() => ({ ok: false }))) as QuoteResponse;
 
-            const btn = form.querySelector<HTMLButtonElement>('button[type="submit"]');
-            if (btn) {
-                const original = btn.textContent;
-                btn.disabled = true;
-                btn.textContent = 'รับข้อมูลแล้ว';
-                window.setTimeout(() => {
-                    btn.disabled = false;
-                    btn.textContent = original || 'ส่งข้อมูล';
+                if (res.ok && body.ok) {
+                    if (draftTimer !== null) window.clearTimeout(draftTimer);
                     form.reset();
-                }, 1200);
+                    clearPhotos();
+                    clearDraft();
+                    setFormStatus(status, 'รับข้อมูลแล้ว ทีมงานจะติดต่อกลับภายใน 1 วันทำการ', 'ok');
+                    return;
+                }
+
+                if (body.errors) {
+                    showFieldErrors(form, body.errors);
+                    setFormStatus(status, 'กรุณาตรวจสอบข้อมูลที่ไฮไลต์', 'error');
+                } else {
+                    setFormStatus(status, body.error || 'ส่งข้อมูลไม่สำเร็จ กรุณาลองใหม่อีกครั้ง', 'error');
+                }
+            } catch {
+                setFormStatus(status, 'เชื่อมต่อไม่ได้ กรุณาตรวจสอบอินเทอร์เน็ตแล้วลองใหม่', 'error');
+            } finally {
+                btn.disabled = false;
+                btn.textContent = label;
             }
         });
     }
 
+    const RATES_URL = '/building2u/rates.json';
+
+    // rate: [min, max] baht per m² at standard finish on one storey.
+    // weeks: [base weeks, extra weeks per 100 m²]; the upper bound is × spread.
+    type RateTable = {
+        services: Record<string, { rate: [number, number]; weeks: [number, number] }>;
+        finishes: Record<string, number>;
+        storeys: number[];
+        storeyWeeks: number;
+        spread: number;
+    };
+
+    type Estimate = {
+        price: [number, number];
+        weeks: [number, number];
+    };
+
+    function estimateCost(rates: RateTable, service: string, area: number, storeys: number, finish: string): Estimate | null {
+        const row = rates.services[service];
+        if (!row || !(area > 0)) return null;
+
+        const storeyIndex = Math.min(Math.max(storeys, 1), rates.storeys.length) - 1;
+        const factor = (rates.finishes[finish] || 1) * rates.storeys[storeyIndex];
+        const round = (n: number) => Math.round(n / 10000) * 10000;
+        const weeks = row.weeks[0] + (row.weeks[1] * area) / 100 + rates.storeyWeeks * storeyIndex;
+
+        return {
+            price: [round(row.rate[0] * area * factor), round(row.rate[1] * area * factor)],
+            weeks: [Math.round(weeks), Math.round(weeks * rates.spread)],
+        };
+    }
+
+    const baht = new Intl.NumberFormat('th-TH', { maximumFractionDigits: 0 });
+
+    function formatPrice([min, max]: [number, number]): string {
+        return `${baht.format(min)} – ${baht.format(max)} บาท`;
+    }
+
+    function formatWeeks([min, max]: [number, number]): string {
+        const [from, to, unit] = max < 10 ? [min, max, 'สัปดาห์'] : [Math.max(1, Math.round(min / 4.3)), Math.round(max / 4.3), 'เดือน'];
+        return from === to ? `ประมาณ ${from} ${unit}` : `ประมาณ ${from}–${to} ${unit}`;
+    }
+
+    function optionLabel(select: HTMLSelectElement): string {
+        return select.selectedOptions[0]?.textContent?.trim() || select.value;
+    }
+
+    async function initEstimator(root: HTMLElement) {
+        const form = qs<HTMLFormElement>(root, '.estimator__form');
+        const serviceSelect = qs<HTMLSelectElement>(root, '[data-estimate-service]');
+        const areaInput = qs<HTMLInputElement>(form, 'input[name="area"]');
+        const storeysSelect = qs<HTMLSelectElement>(form, 'select[name="storeys"]');
+        const finishSelect = qs<HTMLSelectElement>(form, 'select[name="finish"]');
+        const priceEl = qs<HTMLElement>(root, '[data-estimate-price]');
+        const timeEl = qs<HTMLElement>(root, '[data-estimate-time]');
+        const sendBtn = qs<HTMLButtonElement>(root, '[data-estimate-send]');
+
+        // Reuse the quote form's service list so the two never drift apart.
+        const quoteForm = document.querySelector<HTMLFormElement>('form.form');
+        const quoteService = quoteForm?.querySelector<HTMLSelectElement>('select[name="service"]');
+        if (quoteService) {
+            for (const option of Array.from(quoteService.options)) {
+                if (option.value) serviceSelect.appendChild(option.cloneNode(true));
+            }
+        }
+
+        let rates: RateTable;
+        try {
+            const res = await fetch(RATES_URL);
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            rates = (await res.json()) as RateTable;
+        } catch {
+            priceEl.textContent = 'โหลดตารางราคาไม่สำเร็จ';
+            return;
+        }
+
+        let current: Estimate | null = null;
+
+        const update = () => {
+            current = estimateCost(rates, serviceSelect.value, Number(areaInput.value), Number(storeysSelect.value), finishSelect.value);
+            priceEl.textContent = current ? formatPrice(current.price) : 'กรอกพื้นที่เพื่อดูราคา';
+            timeEl.textContent = current ? formatWeeks(current.weeks) : '–';
+            sendBtn.disabled = !current || !quoteForm;
+        };
+
+        form.addEventListener('input', update);
+        form.addEventListener('change', update);
+        form.addEventListener('submit', (e) => e.preventDefault());
+
+        sendBtn.addEventListener('click', () => {
+            if (!current || !quoteForm) return;
+
+            const service = quoteForm.elements.namedItem('service') as HTMLSelectElement;
+            const message = quoteForm.elements.namedItem('message') as HTMLTextAreaElement;
+            service.value = serviceSelect.value;
+
+            const summary = [
+                `ประเมินเบื้องต้น: ${optionLabel(serviceSelect)} พื้นที่ ${areaInput.value} ตร.ม. ${optionLabel(storeysSelect)} วัสดุระดับ${optionLabel(finishSelect)}`,
+                `ราคาประมาณ ${formatPrice(current.price)} (${formatWeeks(current.weeks)})`,
+            ].join('\n');
+            const existing = message.value.replace(/^ประเมินเบื้องต้น:.*\n.*(\n\n)?/, '');
+            message.value = existing ? `${summary}\n\n${existing}` : summary;
+
+            // Clears the inline errors and saves the draft like typing would.
+            service.dispatchEvent(new Event('input', { bubbles: true }));
+            message.dispatchEvent(new Event('input', { bubbles: true }));
+            document.getElementById('contact')?.scrollIntoView({ behavior: 'smooth' });
+            (quoteForm.elements.namedItem('name') as HTMLInputElement).focus({ preventScroll: true });
+        });
+
+        update();
+    }
+
+    const SLOTS_URL = '/api/building2u/slots';
+    const BOOKING_URL = '/api/building2u/booking';
+
+    type SurveySlot = {
+        id: string;
+        date: string;
+        time: string;
+        start: string;
+        end: string;
+    };
+
+    type BookingResponse = {
+        ok: boolean;
+        start?: string;
+        ics?: string;
+        error?: string;
+        errors?: Record<string, string>;
+    };
+
+    const surveyDay = new Intl.DateTimeFormat('th-TH', { weekday: 'short', day: 'numeric', month: 'short', timeZone: 'Asia/Bangkok' });
+    const surveyTime = new Intl.DateTimeFormat('th-TH', { hour: '2-digit', minute: '2-digit', timeZone: 'Asia/Bangkok' });
+
+    function renderChoices(root: HTMLElement, items: { value: string; label: string }[], selected: string, onPick: (value: string) => void) {
+        root.innerHTML = '';
+        items.forEach((item) => {
+            const btn = createEl('button', 'chip', item.label);
+            btn.type = 'button';
+            btn.setAttribute('aria-pressed', item.value === selected ? 'true' : 'false');
+            btn.addEventListener('click', () => onPick(item.value));
+            root.appendChild(btn);
+        });
+    }
+
+    function initBooking(root: HTMLElement) {
+        const form = qs<HTMLFormElement>(root, '.booking__form');
+        const daysRoot = qs<HTMLElement>(root, '[data-booking-days]');
+        const timesRoot = qs<HTMLElement>(root, '[data-booking-times]');
+        const slotInput = qs<HTMLInputElement>(form, 'input[name="slot"]');
+        const btn = qs<HTMLButtonElement>(form, 'button[type="submit"]');
+        const status = qs<HTMLElement>(form, '.form__status');
+        const icsLink = qs<HTMLAnchorElement>(root, '[data-booking-ics]');
+        const fields = ['slot', 'name', 'phone', 'address', 'note'];
+        const label = btn.textContent || 'จองนัดสำรวจ';
+
+        let byDate = new Map<string, SurveySlot[]>();
+        let day = '';
+
+        const renderTimes = () => {
+            const slots = byDate.get(day) || [];
+            renderChoices(timesRoot, slots.map((slot) => ({ value: slot.id, label: `${slot.time} น.` })), slotInput.value, (id) => {
+                slotInput.value = id;
+                setFieldError(form, 'slot', null);
+                renderTimes();
+            });
+        };
+
+        const renderDays = () => {
+            const dates = Array.from(byDate.keys());
+            if (!dates.length) {
+                daysRoot.textContent = 'ช่วงนี้ยังไม่มีเวลาว่าง กรุณาโทรนัดกับเราโดยตรง';
+                timesRoot.innerHTML = '';
+                return;
+            }
+            if (!byDate.has(day)) day = dates[0];
+
+            renderChoices(
+                daysRoot,
+                dates.map((date) => ({ value: date, label: surveyDay.format(new Date(byDate.get(date)![0].start)) })),
+                day,
+                (date) => {
+                    day = date;
+                    renderDays();
+                }
+            );
+            renderTimes();
+        };
+
+        const loadSlots = async () => {
+            try {
+                const res = await fetch(SLOTS_URL, { cache: 'no-store' });
+                const body = (await res.json()) as { ok: boolean; slots?: SurveySlot[] };
+                if (!res.ok || !body.slots) throw new Error(`HTTP ${res.status}`);
+
+                byDate = new Map();
+                for (const slot of body.slots) {
+                    const list = byDate.get(slot.date) || [];
+                    list.push(slot);
+                    byDate.set(slot.date, list);
+                }
+                if (!body.slots.some((slot) => slot.id === slotInput.value)) slotInput.value = '';
+                renderDays();
+            } catch {
+                daysRoot.textContent = 'โหลดตารางนัดไม่สำเร็จ กรุณาลองใหม่อีกครั้ง';
+            }
+        };
+
+        form.addEventListener('input', (e) => {
+            const target = e.target as HTMLInputElement | null;
+            if (target?.name) setFieldError(form, target.name, null);
+        });
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+
+            const data = new FormData(form);
+            const payload: Record<string, string> = {};
+            for (const name of fields) payload[name] = String(data.get(name) || '');
+
+            fields.forEach((name) => setFieldError(form, name, null));
+            setFormStatus(status, '', null);
+            icsLink.hidden = true;
+            btn.disabled = true;
+            btn.textContent = 'กำลังจอง…';
+
+            try {
+                const res = await fetch(BOOKING_URL, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(payload),
+                });
+                const body = (await res.json().catch(() => ({ ok: false }))) as BookingResponse;
+
+                if (res.ok && body.ok && body.start && body.ics) {
+                    const start = new Date(body.start);
+                    form.reset();
+                    slotInput.value = '';
+                    setFormStatus(status, `จองแล้ว: ${surveyDay.format(start)} เวลา ${surveyTime.format(start)} น. ทีมงานจะโทรยืนยันก่อนเข้าหน้างาน`, 'ok');
+                    icsLink.href = body.ics;
+                    icsLink.hidden = false;
+                    void loadSlots();
+                    return;
+                }
+
+                if (body.errors) {
+                    showFieldErrors(form, body.errors);
+                    setFormStatus(status, 'กรุณาตรวจสอบข้อมูลที่ไฮไลต์', 'error');
+                    if (body.errors.slot) void loadSlots();
+                } else {
+                    setFormStatus(status, body.error || 'จองไม่สำเร็จ กรุณาลองใหม่อีกครั้ง', 'error');
+                }
+            } catch {
+                setFormStatus(status, 'เชื่อมต่อไม่ได้ กรุณาตรวจสอบอินเทอร์เน็ตแล้วลองใหม่', 'error');
+            } finally {
+                btn.disabled = false;
+                btn.textContent = label;
+            }
+        });
+
+        void loadSlots();
+    }
+
     function boot() {
         initMobileNav();
 
-        const sliderRoot = document.querySelector<HTMLElement>('[data-slider]');
-        if (sliderRoot) initSlider(sliderRoot);
+        qsa<HTMLElement>(document, '[data-slider]').forEach((root) => initSlider(root));
+
+        const galleryRoot = document.querySelector<HTMLElement>('[data-gallery]');
+        if (galleryRoot) void initGallery(galleryRoot);
+
+        initQuoteForm();
+
+        const estimatorRoot = document.querySelector<HTMLElement>('[data-estimator]');
+        if (estimatorRoot) void initEstimator(estimatorRoot);
 
-        initDemoForm();
+        const bookingRoot = document.querySelector<HTMLElement>('[data-booking]');
+        if (bookingRoot) initBooking(bookingRoot);
     }
 
     if (document.readyState === 'loading') {
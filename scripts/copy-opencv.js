@@ -0,0 +1,13 @@
+// Copies the OpenCV.js bundle (wasm inlined) into airemove/vendor so the app
+// and its service worker serve it from our own origin.
+const fs = require('fs');
+const path = require('path');
+
+const source = require.resolve('@techstark/opencv-js/dist/opencv.js');
+const target = path.join(__dirname, '..', 'airemove', 'vendor', 'opencv.js');
+
+fs.mkdirSync(path.dirname(target), { recursive: true });
+fs.copyFileSync(source, target);
+
+const size = (fs.statSync(target).size / 1024 / 1024).toFixed(1);
+console.log(`opencv.js -> ${path.relative(process.cwd(), target)} (${size} MB)`);
@@ -0,0 +1,99 @@
+// Local stand-in for the Vercel deployment: serves the static sites from the
+// repo root and routes /api/* to the functions in api/. Records go to the
+// file store in .data/ (see api/_lib/store.js).
+//   npm run dev            -> http://localhost:3000
+//   BUILDING2U_ADMIN_PASSWORD=… npm run dev   also enables /building2u/admin/
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const PORT = Number(process.env.PORT) || 3000;
+
+const TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.webmanifest': 'application/manifest+json',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon',
+    '.txt': 'text/plain; charset=utf-8',
+    '.xml': 'application/xml; charset=utf-8',
+};
+
+function resolveApi(pathname) {
+    const rel = pathname.replace(/^\/api\//, '');
+    if (!rel || rel.split('/').some((part) => !part || part.startsWith('_') || part.startsWith('.'))) return null;
+    const file = path.join(ROOT, 'api', `${rel}.js`);
+    return fs.existsSync(file) ? file : null;
+}
+
+async function serveApi(req, res, file) {
+    try {
+        await require(file)(req, res);
+    } catch (err) {
+        console.error(err);
+        if (!res.headersSent) res.statusCode = 500;
+        res.end();
+    }
+}
+
+function serveStatic(req, res, pathname) {
+    const file = path.normalize(path.join(ROOT, pathname));
+    if (!file.startsWith(ROOT) || file.includes(`${path.sep}.`) || file.includes('node_modules')) {
+        res.statusCode = 404;
+        res.end('Not found');
+        return;
+    }
+
+    fs.stat(file, (err, stat) => {
+        if (!err && stat.isDirectory()) {
+            if (!pathname.endsWith('/')) {
+                res.statusCode = 308;
+                res.setHeader('Location', `${pathname}/`);
+                res.end();
+                return;
+            }
+            serveStatic(req, res, `${pathname}index.html`);
+            return;
+        }
+        if (err) {
+            res.statusCode = 404;
+            res.end('Not found');
+            return;
+        }
+        res.setHeader('Content-Type', TYPES[path.extname(file)] || 'application/octet-stream');
+        fs.createReadStream(file).pipe(res);
+    });
+}
+
+const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    let decoded;
+    try {
+        decoded = decodeURIComponent(pathname);
+    } catch {
+        res.statusCode = 400;
+        res.end('Bad request');
+        return;
+    }
+
+    if (decoded.startsWith('/api/')) {
+        const file = resolveApi(decoded);
+        if (file) {
+            serveApi(req, res, file);
+            return;
+        }
+        res.statusCode = 404;
+        res.end('Not found');
+        return;
+    }
+    serveStatic(req, res, decoded);
+});
+
+server.listen(PORT, () => {
+    console.log(`dev server on http://localhost:${PORT}`);
+});
@@ -0,0 +1,74 @@
+// Creates and edits building2u project progress pages. Projects are saved in
+// the same store as the API (api/_lib/store.js), keyed by a random token, so
+// client details stay out of the repo. Against production, load the KV
+// settings first, e.g. `vercel env pull .env.local` and then
+// `node --env-file=.env.local scripts/progress.js ...`.
+//   node scripts/progress.js new "บ้านคุณสมชาย 2 ชั้น"   prints the client link
+//   node scripts/progress.js get <token> > project.json
+//   node scripts/progress.js put <token> project.json
+const crypto = require('crypto');
+const fs = require('fs');
+const { saveRecord, getRecord } = require('../api/_lib/store');
+
+const USAGE = `Usage: node scripts/progress.js new <project title>
+       node scripts/progress.js get <token>
+       node scripts/progress.js put <token> <file.json>`;
+
+const STAGES = ['survey', 'quote', 'build', 'handover'];
+
+// Catches the hand-editing mistakes that would break the page.
+function checkProject(project) {
+    if (!project || typeof project !== 'object') return 'not a JSON object';
+    if (typeof project.title !== 'string' || !project.title.trim()) return 'title is missing';
+    if (!STAGES.includes(project.stage)) return `stage must be one of ${STAGES.join(', ')}`;
+    for (const key of ['milestones', 'updates', 'payments']) {
+        if (!Array.isArray(project[key])) return `${key} must be a list`;
+    }
+    return null;
+}
+
+async function create(title) {
+    const token = crypto.randomBytes(12).toString('base64url');
+    const project = {
+        title,
+        client: '',
+        location: '',
+        stage: 'build',
+        updatedAt: new Date().toISOString().slice(0, 10),
+        milestones: [],
+        updates: [],
+        payments: [],
+    };
+    await saveRecord('progress', { id: token, project });
+    console.log(token);
+    console.log(`/building2u/progress/?t=${token}`);
+}
+
+async function show(token) {
+    const record = await getRecord('progress', token);
+    if (!record) throw new Error(`No project with token ${token}`);
+    console.log(JSON.stringify(record.project, null, 4));
+}
+
+async function replace(token, file) {
+    if (!(await getRecord('progress', token))) throw new Error(`No project with token ${token}`);
+    const project = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const problem = checkProject(project);
+    if (problem) throw new Error(`${file}: ${problem}`);
+    await saveRecord('progress', { id: token, project });
+    console.log(`Saved ${token}`);
+}
+
+async function main() {
+    const [command, ...rest] = process.argv.slice(2);
+    if (command === 'new' && rest.join(' ').trim()) return create(rest.join(' ').trim());
+    if (command === 'get' && rest.length === 1) return show(rest[0]);
+    if (command === 'put' && rest.length === 2) return replace(rest[0], rest[1]);
+    console.error(USAGE);
+    process.exitCode = 2;
+}
+
+main().catch((err) => {
+    console.error(err.message);
+    process.exitCode = 1;
+});
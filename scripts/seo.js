@@ -0,0 +1,231 @@
+// SEO build step for the three sites listed in scripts/seo.json. It copies the
+// static files (`static` in seo.json) into dist/, which is what Vercel serves,
+// and then, in dist/ only:
+//  - writes canonical/Open Graph tags (and JSON-LD for building2u) into each
+//    page's <head> between <!-- seo:start --> and <!-- seo:end -->,
+//  - renders og/<image>.png (1200×630) from the page title and description,
+//  - writes sitemap.xml and robots.txt at the site root.
+// Absolute URLs need the public origin: SITE_URL, else Vercel's production
+// domain. Runs as part of `npm run build`; the sources are never modified.
+const fs = require('fs');
+const path = require('path');
+const { Resvg } = require('@resvg/resvg-js');
+
+const ROOT = path.join(__dirname, '..');
+const OUT = path.join(ROOT, 'dist');
+const config = require('./seo.json');
+
+const OG_WIDTH = 1200;
+const OG_HEIGHT = 630;
+const OG_PADDING = 80;
+const FONTS = {
+    bold: require.resolve('@expo-google-fonts/prompt/700Bold/Prompt_700Bold.ttf'),
+    regular: require.resolve('@expo-google-fonts/prompt/400Regular/Prompt_400Regular.ttf'),
+};
+
+function siteOrigin() {
+    if (process.env.SITE_URL) return process.env.SITE_URL.replace(/\/+$/, '');
+    if (process.env.VERCEL_PROJECT_PRODUCTION_URL) return `https://${process.env.VERCEL_PROJECT_PRODUCTION_URL}`;
+    const fallback = `http://localhost:${process.env.PORT || 3000}`;
+    console.warn(`SITE_URL is not set; using ${fallback} for absolute URLs.`);
+    return fallback;
+}
+
+function escapeHtml(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function decodeHtml(value) {
+    return value.replace(/&quot;/g, '"').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+}
+
+function readHead(html) {
+    const title = /<title>([^<]*)<\/title>/.exec(html);
+    const description = /<meta name="description" content="([^"]*)"/.exec(html);
+    if (!title) throw new Error('Page has no <title>');
+    return { title: decodeHtml(title[1].trim()), description: description ? decodeHtml(description[1]) : '' };
+}
+
+// The quote form's service <select> is the list of services we offer (the
+// estimator's copy is empty until its script fills it in).
+function readServices(html) {
+    const names = new Set();
+    for (const select of html.matchAll(/<select[^>]*name="service"[^>]*>([\s\S]*?)<\/select>/g)) {
+        for (const option of select[1].matchAll(/<option value="[^"]+">([^<]+)<\/option>/g)) names.add(decodeHtml(option[1].trim()));
+    }
+    return [...names];
+}
+
+// Contact details are optional and left out until real ones are filled in;
+// a placeholder would otherwise be published as structured data.
+function contactValue(business, key) {
+    const value = business[key];
+    if (value === undefined) return undefined;
+    if (/XX|@example\.(com|org|net)$/.test(value)) throw new Error(`business.${key} in seo.json is a placeholder: ${value}`);
+    return value;
+}
+
+function businessJsonLd(business, page, url, image, html) {
+    return {
+        '@context': 'https://schema.org',
+        '@type': 'HomeAndConstructionBusiness',
+        name: business.name,
+        description: page.description,
+        url,
+        image,
+        telephone: contactValue(business, 'telephone'),
+        email: contactValue(business, 'email'),
+        priceRange: business.priceRange,
+        address: { '@type': 'PostalAddress', addressRegion: business.addressRegion, addressCountry: 'TH' },
+        areaServed: business.areaServed.map((name) => ({ '@type': 'AdministrativeArea', name })),
+        hasOfferCatalog: {
+            '@type': 'OfferCatalog',
+            name: 'บริการรับเหมาก่อสร้าง',
+            itemListElement: readServices(html).map((name) => ({
+                '@type': 'Offer',
+                itemOffered: { '@type': 'Service', name },
+            })),
+        },
+    };
+}
+
+function headBlock(html, tags) {
+    const indent = (/\n([ \t]*)<\/head>/.exec(html) || ['', ''])[1] + '    ';
+    return [`${indent}<!-- seo:start -->`, ...tags.map((tag) => indent + tag), `${indent}<!-- seo:end -->`].join('\n');
+}
+
+// Replaces a block that is already there instead of adding a second one.
+function injectHead(html, block) {
+    const marked = /[ \t]*<!-- seo:start -->[\s\S]*?<!-- seo:end -->/;
+    if (marked.test(html)) return html.replace(marked, () => block);
+    return html.replace(/\n([ \t]*)<\/head>/, (_, indent) => `\n${block}\n${indent}</head>`);
+}
+
+// Splits on Thai word boundaries (Thai has no spaces) and packs lines.
+function wrapText(text, measure, maxWidth) {
+    const segmenter = new Intl.Segmenter('th', { granularity: 'word' });
+    const lines = [];
+    let line = '';
+    for (const { segment } of segmenter.segment(text)) {
+        const next = line + segment;
+        if (line && measure(next.trimEnd()) > maxWidth) {
+            lines.push(line.trimEnd());
+            line = segment.trimStart();
+        } else {
+            line = next;
+        }
+    }
+    if (line.trim()) lines.push(line.trimEnd());
+    return lines;
+}
+
+// resvg gets SARA AM's advance wrong (the next glyphs overlap it), so spell it
+// out as NIKHAHIT + SARA AA, moving any tone mark in between as Thai expects.
+function svgText(text) {
+    return escapeHtml(text.replace(/([\u0E48-\u0E4B]?)\u0E33/g, '\u0E4D$1\u0E32'));
+}
+
+function renderSvg(svg) {
+    return new Resvg(svg, {
+        font: { fontFiles: [FONTS.bold, FONTS.regular], loadSystemFonts: false, defaultFontFamily: 'Prompt' },
+    });
+}
+
+function measurer(size, weight) {
+    return (text) => {
+        const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="4000" height="200"><text x="0" y="150" font-family="Prompt" font-weight="${weight}" font-size="${size}">${svgText(text)}</text></svg>`;
+        const box = renderSvg(svg).getBBox();
+        return box ? box.width : 0;
+    };
+}
+
+function textLines(lines, { x, y, size, weight, fill, lineHeight }) {
+    return lines
+        .map((line, i) => `<text x="${x}" y="${y + i * size * lineHeight}" font-family="Prompt" font-weight="${weight}" font-size="${size}" fill="${fill}">${svgText(line)}</text>`)
+        .join('');
+}
+
+// "ทรัพย์เจริญ | รับเหมาก่อสร้างบ้านโมเดิร์น" -> label + headline.
+function ogImage(page, host) {
+    const [label, ...rest] = page.title.split(' | ');
+    const headline = rest.length ? rest.join(' | ') : label;
+    const maxWidth = OG_WIDTH - OG_PADDING * 2;
+
+    // Shrink the headline until it fits in three lines.
+    let size = 76;
+    let lines = wrapText(headline, measurer(size, 700), maxWidth);
+    while (lines.length > 3 && size > 44) {
+        size -= 6;
+        lines = wrapText(headline, measurer(size, 700), maxWidth);
+    }
+
+    const descSize = 30;
+    const desc = wrapText(page.description, measurer(descSize, 400), maxWidth).slice(0, 2);
+    const headlineY = 210 + size;
+
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${OG_WIDTH}" height="${OG_HEIGHT}">
+        <rect width="${OG_WIDTH}" height="${OG_HEIGHT}" fill="#f6f3ec"/>
+        <rect x="0" y="${OG_HEIGHT - 14}" width="${OG_WIDTH}" height="14" fill="#b8a98a"/>
+        ${textLines([label], { x: OG_PADDING, y: 150, size: 34, weight: 700, fill: '#6b6b6b', lineHeight: 1 })}
+        ${textLines(lines, { x: OG_PADDING, y: headlineY, size, weight: 700, fill: '#1f1f1f', lineHeight: 1.25 })}
+        ${textLines(desc, { x: OG_PADDING, y: headlineY + lines.length * size * 1.25 + 20, size: descSize, weight: 400, fill: '#6b6b6b', lineHeight: 1.4 })}
+        ${textLines([host], { x: OG_PADDING, y: OG_HEIGHT - 60, size: 24, weight: 400, fill: '#6b6b6b', lineHeight: 1 })}
+    </svg>`;
+    return renderSvg(svg).render().asPng();
+}
+
+function build() {
+    const origin = siteOrigin();
+    const host = new URL(origin).host;
+
+    fs.rmSync(OUT, { recursive: true, force: true });
+    for (const entry of config.static) {
+        fs.cpSync(path.join(ROOT, entry), path.join(OUT, entry), { recursive: true });
+    }
+    fs.mkdirSync(path.join(OUT, 'og'), { recursive: true });
+
+    for (const entry of config.pages) {
+        const html = fs.readFileSync(path.join(ROOT, entry.file), 'utf8');
+        const page = readHead(html);
+        const url = origin + entry.path;
+        const image = `${origin}/og/${entry.image}.png`;
+        const close = /\s\/>/.test(html.slice(0, html.indexOf('</head>'))) ? ' />' : '>';
+
+        fs.writeFileSync(path.join(OUT, 'og', `${entry.image}.png`), ogImage(page, host));
+
+        const tags = [
+            `<link rel="canonical" href="${escapeHtml(url)}"${close}`,
+            `<meta property="og:type" content="website"${close}`,
+            `<meta property="og:locale" content="th_TH"${close}`,
+            `<meta property="og:url" content="${escapeHtml(url)}"${close}`,
+            `<meta property="og:title" content="${escapeHtml(page.title)}"${close}`,
+            `<meta property="og:description" content="${escapeHtml(page.description)}"${close}`,
+            `<meta property="og:image" content="${escapeHtml(image)}"${close}`,
+            `<meta property="og:image:width" content="${OG_WIDTH}"${close}`,
+            `<meta property="og:image:height" content="${OG_HEIGHT}"${close}`,
+            `<meta name="twitter:card" content="summary_large_image"${close}`,
+        ];
+        if (entry.business) {
+            const data = businessJsonLd(config.business, page, url, image, html);
+            tags.push(`<script type="application/ld+json">${JSON.stringify(data).replace(/</g, '\\u003c')}</script>`);
+        }
+
+        fs.writeFileSync(path.join(OUT, entry.file), injectHead(html, headBlock(html, tags)));
+        console.log(`dist/${entry.file}: head tags, og/${entry.image}.png`);
+    }
+
+    const sitemap = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+        ...config.pages.map((entry) => `  <url><loc>${escapeHtml(origin + entry.path)}</loc></url>`),
+        '</urlset>',
+        '',
+    ].join('\n');
+    fs.writeFileSync(path.join(OUT, 'sitemap.xml'), sitemap);
+
+    const robots = ['User-agent: *', ...config.disallow.map((p) => `Disallow: ${p}`), '', `Sitemap: ${origin}/sitemap.xml`, ''].join('\n');
+    fs.writeFileSync(path.join(OUT, 'robots.txt'), robots);
+    console.log('dist/sitemap.xml, dist/robots.txt');
+}
+
+build();